@@ -0,0 +1,348 @@
+// Mirror Archive - Curator gallery for captured faces
+
+const METRIC_LABELS = {
+    smilingScore: 'Smile',
+    muscleActivation: 'Muscles',
+    facialSymmetry: 'Symmetry',
+    joyDetection: 'Joy',
+    smileLevel: 'Level'
+};
+
+const HEALTH_POLL_MS = 15000;
+
+class CuratorGallery {
+    constructor() {
+        this.gallery = document.getElementById('gallery');
+        this.filters = document.getElementById('filters');
+        this.status = document.getElementById('status');
+        this.loadMoreButton = document.getElementById('load-more');
+        this.landmarksToggle = document.getElementById('toggle-landmarks');
+        this.selectionCount = document.getElementById('selection-count');
+        this.downloadButton = document.getElementById('download-selected');
+        this.deleteButton = document.getElementById('delete-selected');
+        this.cardTemplate = document.getElementById('capture-card');
+        this.kioskHealth = document.getElementById('kiosk-health');
+
+        this.captures = new Map(); // id -> capture description
+        this.cards = new Map();    // id -> card element
+        this.groups = new Map();   // sessionId -> captures container
+        this.selected = new Set();
+        this.landmarkCache = new Map();
+        this.query = {};
+        this.nextCursor = null;
+        this.loading = false;
+
+        this.setupEventListeners();
+        this.reload();
+        this.pollHealth();
+    }
+
+    setupEventListeners() {
+        this.filters.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const form = new FormData(this.filters);
+            this.query = {};
+            for (const name of ['from', 'to']) {
+                const value = form.get(name);
+                if (value) this.query[name] = new Date(value).toISOString();
+            }
+            const session = (form.get('session') || '').trim();
+            if (session) this.query.session = session;
+            this.reload();
+        });
+
+        this.loadMoreButton.addEventListener('click', () => this.loadPage());
+        this.landmarksToggle.addEventListener('change', () => this.refreshOverlays());
+        document.getElementById('select-all').addEventListener('click', () => this.toggleSelectAll());
+        this.downloadButton.addEventListener('click', () => this.downloadSelected());
+        this.deleteButton.addEventListener('click', () => this.deleteSelected());
+        document.getElementById('sign-out').addEventListener('click', async () => {
+            await fetch('/admin/logout', { method: 'POST' }).catch(() => {});
+            location.href = '/admin/login.html';
+        });
+    }
+
+    // The session cookie expired (or the server restarted): back to the login form
+    redirectIfSignedOut(response) {
+        if (response.status !== 401) return false;
+        location.href = `/admin/login.html?next=${encodeURIComponent(location.pathname)}`;
+        return true;
+    }
+
+    reload() {
+        this.captures.clear();
+        this.cards.clear();
+        this.groups.clear();
+        this.selected.clear();
+        this.gallery.innerHTML = '';
+        this.nextCursor = null;
+        this.updateSelection();
+        this.loadPage();
+    }
+
+    async loadPage() {
+        if (this.loading) return;
+        this.loading = true;
+        this.setStatus('Loading…');
+
+        const params = new URLSearchParams(this.query);
+        if (this.nextCursor) params.set('cursor', this.nextCursor);
+
+        try {
+            const response = await fetch(`/captures?${params}`);
+            if (this.redirectIfSignedOut(response)) return;
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+            data.captures.forEach(capture => this.addCapture(capture));
+            this.nextCursor = data.nextCursor;
+            this.loadMoreButton.hidden = !this.nextCursor;
+            this.setStatus(this.captures.size === 0 ? 'No captures match these filters.' : `${this.captures.size} capture(s) shown`);
+        } catch (error) {
+            console.error('Failed to load captures:', error);
+            this.setStatus(`Failed to load captures: ${error.message}`);
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    addCapture(capture) {
+        this.captures.set(capture.id, capture);
+
+        const card = this.cardTemplate.content.firstElementChild.cloneNode(true);
+        const checkbox = card.querySelector('input[type="checkbox"]');
+        const image = card.querySelector('img');
+        const time = card.querySelector('time');
+
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) this.selected.add(capture.id);
+            else this.selected.delete(capture.id);
+            card.classList.toggle('selected', checkbox.checked);
+            this.updateSelection();
+        });
+
+        if (capture.imageUrl) {
+            image.src = capture.imageUrl;
+            image.alt = capture.id;
+        }
+        time.dateTime = capture.capturedAt;
+        time.textContent = new Date(capture.capturedAt).toLocaleString();
+        this.renderMetrics(card.querySelector('.capture-metrics'), capture);
+        if (capture.analysisUrl) {
+            const analysis = card.querySelector('.capture-analysis');
+            analysis.href = capture.analysisUrl;
+            analysis.hidden = false;
+        }
+
+        this.getGroup(capture.sessionId).appendChild(card);
+        this.cards.set(capture.id, card);
+        if (this.landmarksToggle.checked) this.drawLandmarks(capture);
+    }
+
+    // Captures arrive newest first, so groups appear in order of their latest capture
+    getGroup(sessionId) {
+        const key = sessionId || '';
+        if (this.groups.has(key)) return this.groups.get(key);
+
+        const section = document.createElement('section');
+        section.className = 'session-group';
+        const heading = document.createElement('h2');
+        heading.textContent = sessionId ? 'Session' : 'No session';
+        if (sessionId) {
+            const code = document.createElement('code');
+            code.textContent = sessionId;
+            const bundle = document.createElement('a');
+            bundle.className = 'button';
+            bundle.href = `/sessions/${encodeURIComponent(sessionId)}/bundle.zip`;
+            bundle.textContent = 'Download ZIP';
+            bundle.title = 'Captures, landmarks, telemetry, scenario outcomes and animation';
+            heading.append(code, bundle);
+        }
+        const container = document.createElement('div');
+        container.className = 'session-captures';
+        section.append(heading, container);
+        this.gallery.appendChild(section);
+
+        this.groups.set(key, container);
+        return container;
+    }
+
+    renderMetrics(list, { metrics, selection, captureMode, supersedes = [] }) {
+        const add = (label, text) => {
+            const term = document.createElement('dt');
+            const value = document.createElement('dd');
+            term.textContent = label;
+            value.textContent = text;
+            list.append(term, value);
+        };
+
+        if (metrics) {
+            for (const [key, label] of Object.entries(METRIC_LABELS)) {
+                if (typeof metrics[key] !== 'number') continue;
+                add(label, key === 'smileLevel' ? metrics[key] : `${Math.round(metrics[key])}%`);
+            }
+            if (metrics.scenarioId) add('Scenario', metrics.scenarioId.replace(/^fixed_/, ''));
+        }
+
+        // Best-frame score: rank among the candidates of its window
+        if (selection && selection.scores) {
+            add('Frame', `${Math.round(selection.scores.total * 100)} (#${selection.rank}/${selection.candidates})`);
+        }
+        if (captureMode && captureMode !== 'full') add('Mode', captureMode);
+        // Near-identical captures this one replaced (see server/captureDedupe.js)
+        if (supersedes.length > 0) add('Replaced', `${supersedes.length} duplicate${supersedes.length === 1 ? '' : 's'}`);
+    }
+
+    refreshOverlays() {
+        for (const [id, card] of this.cards) {
+            const canvas = card.querySelector('canvas');
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            if (this.landmarksToggle.checked) this.drawLandmarks(this.captures.get(id));
+        }
+    }
+
+    async drawLandmarks(capture) {
+        if (!capture.landmarksUrl) return;
+
+        if (!this.landmarkCache.has(capture.id)) {
+            this.landmarkCache.set(capture.id, fetch(capture.landmarksUrl)
+                .then(response => response.ok ? response.json() : null)
+                .catch(() => null));
+        }
+        const data = await this.landmarkCache.get(capture.id);
+        const card = this.cards.get(capture.id);
+        if (!data || !Array.isArray(data.aligned) || !card || !this.landmarksToggle.checked) return;
+
+        // Aligned landmarks are in output-image pixels
+        const canvas = card.querySelector('canvas');
+        const size = (capture.alignment && capture.alignment.outputSize) || canvas.width;
+        const scale = canvas.width / size;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(0, 255, 170, 0.8)';
+        for (const [x, y] of data.aligned) {
+            ctx.fillRect(x * scale - 0.75, y * scale - 0.75, 1.5, 1.5);
+        }
+    }
+
+    toggleSelectAll() {
+        const selectAll = this.selected.size < this.captures.size;
+        for (const [id, card] of this.cards) {
+            card.querySelector('input[type="checkbox"]').checked = selectAll;
+            card.classList.toggle('selected', selectAll);
+            if (selectAll) this.selected.add(id);
+        }
+        if (!selectAll) this.selected.clear();
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        const count = this.selected.size;
+        this.selectionCount.textContent = count ? `${count} selected` : '';
+        this.downloadButton.disabled = count === 0;
+        this.deleteButton.disabled = count === 0;
+    }
+
+    // Download each selected image plus a manifest with its metadata
+    async downloadSelected() {
+        const selected = [...this.selected].map(id => this.captures.get(id));
+
+        for (const capture of selected) {
+            if (!capture.imageUrl) continue;
+            this.triggerDownload(capture.imageUrl, capture.filename);
+            await new Promise(resolve => setTimeout(resolve, 150)); // Browsers drop rapid-fire downloads
+        }
+
+        const manifest = new Blob([JSON.stringify(selected, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(manifest);
+        this.triggerDownload(url, `captures_${Date.now()}.json`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    triggerDownload(href, filename) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    async deleteSelected() {
+        const ids = [...this.selected];
+        if (!confirm(`Permanently delete ${ids.length} capture(s)?`)) return;
+
+        try {
+            const response = await fetch('/captures/delete', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids })
+            });
+            if (this.redirectIfSignedOut(response)) return;
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+            // Already-gone captures are removed from the page too
+            [...data.deleted, ...data.notFound].forEach(id => this.removeCapture(id));
+            this.updateSelection();
+            this.setStatus(`Deleted ${data.deleted.length} capture(s)`);
+        } catch (error) {
+            console.error('Failed to delete captures:', error);
+            this.setStatus(`Failed to delete captures: ${error.message}`);
+        }
+    }
+
+    removeCapture(id) {
+        const card = this.cards.get(id);
+        if (card) {
+            const container = card.parentElement;
+            card.remove();
+            if (container && container.children.length === 0) {
+                container.parentElement.remove();
+                for (const [key, value] of this.groups) {
+                    if (value === container) this.groups.delete(key);
+                }
+            }
+        }
+        this.cards.delete(id);
+        this.captures.delete(id);
+        this.selected.delete(id);
+        this.landmarkCache.delete(id);
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    // Whether the mirror is up, from /health/ready (the kiosk's heartbeat and the server's checks)
+    async pollHealth() {
+        let text;
+        let failing = [];
+        try {
+            const response = await fetch('/health/ready');
+            const report = await response.json();
+            const checks = report.checks || {};
+            failing = Object.entries(checks).filter(([, check]) => check.status === 'fail');
+            const kiosk = checks.kiosk || {};
+            if (kiosk.status === 'ok') {
+                text = `Mirror: running, ${kiosk.fps} fps, ${kiosk.phase}`;
+            } else {
+                text = `Mirror: ${kiosk.error || 'down'}`;
+            }
+            const others = failing.filter(([name]) => name !== 'kiosk');
+            if (others.length > 0) {
+                text += ` · ${others.map(([name, check]) => `${name}: ${check.error || 'failing'}`).join(' · ')}`;
+            }
+        } catch (error) {
+            text = `Mirror: health check failed (${error.message})`;
+            failing = [['server']];
+        }
+        this.kioskHealth.textContent = text;
+        this.kioskHealth.classList.toggle('failing', failing.length > 0);
+        setTimeout(() => this.pollHealth(), HEALTH_POLL_MS);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new CuratorGallery();
+});
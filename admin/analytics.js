@@ -0,0 +1,196 @@
+// Mirror Analytics - Exhibition dashboard: visits, funnel, restarts and smile statistics
+
+const STAGE_LABELS = {
+    welcome: 'Welcome screen',
+    verification: 'Smile verification',
+    game: 'Game',
+    ending: 'Ending'
+};
+
+function percent(ratio) {
+    return ratio === null ? '–' : `${Math.round(ratio * 100)}%`;
+}
+
+class AnalyticsDashboard {
+    constructor() {
+        this.filters = document.getElementById('filters');
+        this.status = document.getElementById('status');
+        this.query = {};
+
+        this.setupEventListeners();
+        this.load();
+    }
+
+    setupEventListeners() {
+        this.filters.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const form = new FormData(this.filters);
+            this.query = {};
+            for (const name of ['from', 'to']) {
+                const value = form.get(name);
+                if (value) this.query[name] = new Date(value).toISOString();
+            }
+            this.load();
+        });
+
+        document.querySelectorAll('[data-csv]').forEach(button => {
+            button.addEventListener('click', () => this.downloadCsv(button.dataset.csv));
+        });
+        document.getElementById('sign-out').addEventListener('click', async () => {
+            await fetch('/admin/logout', { method: 'POST' }).catch(() => {});
+            location.href = '/admin/login.html';
+        });
+    }
+
+    // The session cookie expired (or the server restarted): back to the login form
+    redirectIfSignedOut(response) {
+        if (response.status !== 401) return false;
+        location.href = `/admin/login.html?next=${encodeURIComponent(location.pathname)}`;
+        return true;
+    }
+
+    async load() {
+        this.setStatus('Loading…');
+        try {
+            const response = await fetch(`/analytics?${new URLSearchParams(this.query)}`);
+            if (this.redirectIfSignedOut(response)) return;
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+            this.renderVisits(data.visits);
+            this.renderFunnel(data.funnel);
+            this.renderRestarts(data.restarts);
+            this.renderSmile(data.smile);
+            this.renderGenuine(data.genuine);
+            this.setStatus(`${new Date(data.from).toLocaleString()} – ${new Date(data.to).toLocaleString()}`);
+        } catch (error) {
+            console.error('Failed to load analytics:', error);
+            this.setStatus(`Failed to load analytics: ${error.message}`);
+        }
+    }
+
+    // One column pair per hour; hours are labelled at midnight and noon
+    renderVisits(rows) {
+        const container = document.getElementById('visits');
+        container.innerHTML = '';
+        const max = Math.max(1, ...rows.map(row => Math.max(row.welcomes, row.claims)));
+
+        for (const row of rows) {
+            const hour = new Date(row.hour);
+            const column = document.createElement('div');
+            column.className = 'analytics-column';
+            column.title = `${hour.toLocaleString()}: ${row.welcomes} at welcome screen, ${row.claims} claim(s)`;
+            for (const key of ['welcomes', 'claims']) {
+                const bar = document.createElement('span');
+                bar.className = key;
+                bar.style.height = `${(row[key] / max) * 100}%`;
+                column.appendChild(bar);
+            }
+            if (hour.getHours() % 12 === 0) {
+                const label = document.createElement('small');
+                label.textContent = hour.getHours() === 0
+                    ? hour.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+                    : '12:00';
+                column.appendChild(label);
+            }
+            container.appendChild(column);
+        }
+    }
+
+    renderFunnel(stages) {
+        const max = Math.max(1, ...stages.map(stage => stage.visitors));
+        this.renderBars('funnel', stages.map(stage => ({
+            label: stage.label,
+            fraction: stage.visitors / max,
+            value: `${stage.visitors} (${percent(stage.ofFirst)})`,
+            note: stage.dropOff === null ? '' : `−${percent(stage.dropOff)} since previous`
+        })));
+    }
+
+    renderRestarts(rows) {
+        const max = Math.max(1, ...rows.map(row => row.restarts));
+        this.renderBars('restarts', rows.map(row => ({
+            label: STAGE_LABELS[row.stage] || row.stage,
+            fraction: row.restarts / max,
+            value: String(row.restarts)
+        })));
+    }
+
+    // Scores are 0-100 but the kiosk caps them at 65
+    renderSmile(rows) {
+        this.renderBars('smile', rows.map(row => ({
+            label: row.scenarioId,
+            fraction: (row.smilingScore || 0) / 65,
+            value: row.smilingScore === null ? '–' : String(row.smilingScore),
+            note: `${row.runs} run(s) · symmetry ${row.facialSymmetry ?? '–'} · joy ${row.joyDetection ?? '–'}`
+        })), 'No scenario results in this range.');
+    }
+
+    renderGenuine(rows) {
+        this.renderBars('genuine', rows.map(row => {
+            const thresholds = row.thresholds
+                ? `smile ≥ ${row.thresholds.smileScore}, symmetry ≥ ${row.thresholds.symmetry}, joy ≥ ${row.thresholds.joy}`
+                : 'thresholds unknown';
+            return {
+                label: `${row.scenarioId} (${row.tier || 'unknown'})`,
+                fraction: row.genuineRate || 0,
+                value: percent(row.genuineRate),
+                note: `${row.genuine} genuine · ${row.polite} polite · ${row.noSmile} no smile — ${thresholds}`
+            };
+        }), 'No judged smiles in this range.');
+    }
+
+    // Horizontal bars: { label, fraction (0-1), value, note }
+    renderBars(id, rows, emptyText = 'Nothing recorded in this range.') {
+        const container = document.getElementById(id);
+        container.innerHTML = '';
+        if (rows.length === 0) {
+            container.textContent = emptyText;
+            return;
+        }
+
+        for (const row of rows) {
+            const item = document.createElement('div');
+            item.className = 'analytics-bar';
+
+            const label = document.createElement('span');
+            label.className = 'analytics-bar-label';
+            label.textContent = row.label;
+
+            const track = document.createElement('span');
+            track.className = 'analytics-bar-track';
+            const fill = document.createElement('span');
+            fill.style.width = `${Math.min(1, Math.max(0, row.fraction)) * 100}%`;
+            track.appendChild(fill);
+
+            const value = document.createElement('span');
+            value.className = 'analytics-bar-value';
+            value.textContent = row.value;
+
+            item.append(label, track, value);
+            if (row.note) {
+                const note = document.createElement('small');
+                note.textContent = row.note;
+                item.appendChild(note);
+            }
+            container.appendChild(item);
+        }
+    }
+
+    downloadCsv(view) {
+        const link = document.createElement('a');
+        link.href = `/analytics.csv?${new URLSearchParams({ ...this.query, view })}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new AnalyticsDashboard();
+});
@@ -0,0 +1,263 @@
+// Capture Queue - Keeps captures the server could not take and uploads them once it is back
+//
+// Each entry is the JPEG blob plus the form fields of POST /capture-face, stored in IndexedDB so
+// a reload or a kiosk restart doesn't lose them. A run that started while the server was down
+// queues its session start (the body of POST /sessions) ahead of its captures. Entries are sent
+// oldest first; while the server is unreachable the queue probes /health/live with exponential
+// backoff and drains as soon as it answers. Beyond MAX_ENTRIES or MAX_BYTES the oldest entries
+// are dropped.
+
+import { CONFIG } from './config.js';
+
+const DB_NAME = 'mirror-capture-queue';
+const STORE = 'uploads';
+
+// Resolve an IndexedDB request (or a transaction's completion) as a promise
+function settle(request) {
+    return new Promise((resolve, reject) => {
+        if (request instanceof IDBTransaction) {
+            request.oncomplete = () => resolve();
+            request.onabort = request.onerror = () => reject(request.error);
+        } else {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }
+    });
+}
+
+export class CaptureQueue {
+    // onChange({ count, bytes }) is called whenever the queue grows or shrinks
+    constructor(serverUrl, { onChange = () => {}, ...options } = {}) {
+        this.serverUrl = serverUrl;
+        this.options = { ...CONFIG.CAPTURE_QUEUE, ...options };
+        this.onChange = onChange;
+        this.db = null;
+        this.timer = null;
+        this.delay = this.options.BASE_DELAY;
+        this.draining = false;
+    }
+
+    open() {
+        if (!this.db) {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { autoIncrement: true });
+            };
+            this.db = settle(request);
+        }
+        return this.db;
+    }
+
+    // Report what is left from a previous page load and start sending it
+    async start() {
+        this.notify(await this.depth());
+        this.schedule(0);
+    }
+
+    stop() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // fields: the form fields of POST /capture-face, as strings
+    async enqueue(blob, fields) {
+        const db = await this.open();
+        const transaction = db.transaction(STORE, 'readwrite');
+        transaction.objectStore(STORE).add({ queuedAt: Date.now(), attempts: 0, bytes: blob.size, blob, fields });
+        await settle(transaction);
+
+        const dropped = await this.trim();
+        if (dropped > 0) {
+            console.warn(`Capture queue full: dropped the ${dropped} oldest capture(s)`);
+        }
+        this.notify(await this.depth());
+        this.schedule();
+    }
+
+    // body: the JSON body of POST /sessions, with the id the kiosk picked
+    async enqueueSession(body) {
+        const db = await this.open();
+        const transaction = db.transaction(STORE, 'readwrite');
+        transaction.objectStore(STORE).add({ kind: 'session', queuedAt: Date.now(), attempts: 0, bytes: 0, body });
+        await settle(transaction);
+        this.schedule();
+    }
+
+    // { count, bytes } of the captures waiting
+    async depth() {
+        const db = await this.open();
+        const entries = await settle(db.transaction(STORE).objectStore(STORE).getAll());
+        return {
+            count: entries.filter(entry => entry.kind !== 'session').length,
+            bytes: entries.reduce((total, entry) => total + entry.bytes, 0)
+        };
+    }
+
+    // Drop the oldest entries until the queue is within its limits; resolves to how many were dropped
+    async trim() {
+        const db = await this.open();
+        const transaction = db.transaction(STORE, 'readwrite');
+        const store = transaction.objectStore(STORE);
+        const [keys, entries] = await Promise.all([settle(store.getAllKeys()), settle(store.getAll())]);
+
+        let count = entries.length;
+        let bytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+        let dropped = 0;
+        while (count > 0 && (count > this.options.MAX_ENTRIES || bytes > this.options.MAX_BYTES)) {
+            store.delete(keys[dropped]);
+            bytes -= entries[dropped].bytes;
+            count--;
+            dropped++;
+        }
+        await settle(transaction);
+        return dropped;
+    }
+
+    // Next drain attempt after `delay` ms (the current backoff by default)
+    schedule(delay = this.delay) {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+        }, delay);
+    }
+
+    backOff(delay = this.delay) {
+        this.delay = Math.min(delay * 2, this.options.MAX_DELAY);
+        this.schedule(delay);
+    }
+
+    async drain() {
+        if (this.draining) return;
+        this.draining = true;
+        try {
+            const db = await this.open();
+            let next = await this.first(db);
+            if (!next) {
+                this.delay = this.options.BASE_DELAY;
+                return;
+            }
+            if (!await this.serverIsUp()) {
+                this.backOff();
+                return;
+            }
+
+            while (next) {
+                const { key, entry } = next;
+                const outcome = await this.upload(entry);
+                if (outcome.retry) {
+                    entry.attempts++;
+                    if (entry.attempts < this.options.MAX_ATTEMPTS) {
+                        await this.put(db, key, entry);
+                        this.backOff(outcome.retryAfter || this.delay);
+                        return;
+                    }
+                    console.error(`Queued capture dropped after ${entry.attempts} attempts`);
+                }
+                await this.remove(db, key);
+                this.notify(await this.depth());
+                next = await this.first(db);
+            }
+            this.delay = this.options.BASE_DELAY;
+        } catch (error) {
+            console.error('Capture queue failed:', error);
+            this.backOff();
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    async first(db) {
+        const store = db.transaction(STORE).objectStore(STORE);
+        const cursor = await settle(store.openCursor());
+        return cursor ? { key: cursor.key, entry: cursor.value } : null;
+    }
+
+    async put(db, key, entry) {
+        const transaction = db.transaction(STORE, 'readwrite');
+        transaction.objectStore(STORE).put(entry, key);
+        await settle(transaction);
+    }
+
+    async remove(db, key) {
+        const transaction = db.transaction(STORE, 'readwrite');
+        transaction.objectStore(STORE).delete(key);
+        await settle(transaction);
+    }
+
+    async serverIsUp() {
+        try {
+            const response = await fetch(`${this.serverUrl}/health/live`, { cache: 'no-store' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // { retry, retryAfter } - a refusal other than rate limiting is final, so the entry is dropped
+    async upload(entry) {
+        if (entry.kind === 'session') return this.startSession(entry.body);
+
+        const { blob, fields } = entry;
+        const formData = new FormData();
+        formData.append('image', blob, `smile_capture_${fields.capturedAt}.jpg`);
+        for (const [name, value] of Object.entries(fields)) {
+            formData.append(name, value);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.serverUrl}/capture-face`, { method: 'POST', body: formData });
+        } catch (error) {
+            return { retry: true };
+        }
+        if (response.ok) {
+            console.log('Queued face capture uploaded');
+            return { retry: false };
+        }
+
+        const { code = `HTTP_${response.status}`, message = response.statusText } = await response.json().catch(() => ({}));
+        if (response.status === 429) {
+            return { retry: true, retryAfter: (Number(response.headers.get('Retry-After')) || 1) * 1000 };
+        }
+        if (response.status >= 500) {
+            console.warn(`Queued face capture failed (${response.status} ${code}); will retry`);
+            return { retry: true };
+        }
+        console.log(`Queued face capture not kept (${code}): ${message}`);
+        return { retry: false };
+    }
+
+    // Like upload(); a refused start leaves its captures to be refused as SESSION_NOT_FOUND
+    async startSession(body) {
+        let response;
+        try {
+            response = await fetch(`${this.serverUrl}/sessions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            return { retry: true };
+        }
+        if (response.ok) {
+            console.log(`Queued session start sent: ${body.id}`);
+            return { retry: false };
+        }
+        if (response.status === 429 || response.status >= 500) {
+            console.warn(`Queued session start failed (${response.status}); will retry`);
+            return { retry: true };
+        }
+        const { error = response.statusText } = await response.json().catch(() => ({}));
+        console.error(`Queued session start refused (${response.status}): ${error}`);
+        return { retry: false };
+    }
+
+    notify(depth) {
+        try {
+            this.onChange(depth);
+        } catch (error) {
+            console.error('Capture queue listener failed:', error);
+        }
+    }
+}
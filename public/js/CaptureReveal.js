@@ -0,0 +1,148 @@
+// Capture Reveal - Contact sheet of the visitor's captures, shown inside the mirror
+
+import { CONFIG } from './config.js';
+
+export class CaptureReveal {
+    constructor(options = {}) {
+        this.options = { ...CONFIG.REVEAL, ...options };
+        this.element = null;
+        this.timers = [];
+        this.finish = null;
+    }
+
+    // images: [{ url, metrics }]; `animationUrl` (optional) is the session's smile progression,
+    // shown above the sheet, and `takeHome` ({ qr, url }) a QR code for the visitor's phone.
+    // Resolves once the sheet has faded out (or was cancelled).
+    play(host, images, { animationUrl = null, takeHome = null } = {}) {
+        this.cancel();
+
+        const shown = images.slice(-this.options.MAX_IMAGES);
+        if (!host || shown.length === 0) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.finish = resolve;
+            this.after(this.options.START_DELAY, () => {
+                this.element = this.render(shown, animationUrl, takeHome);
+                host.appendChild(this.element);
+
+                // Next frame, so the opacity transition runs
+                requestAnimationFrame(() => this.element && this.element.classList.add('visible'));
+
+                this.element.querySelectorAll('.capture-reveal-item').forEach((item, index) => {
+                    this.after(this.options.FADE_DURATION + index * this.options.STAGGER, () => item.classList.add('visible'));
+                });
+
+                const hold = takeHome ? this.options.TAKE_HOME_HOLD_DURATION : this.options.HOLD_DURATION;
+                const shownFor = this.options.FADE_DURATION * 2 + (shown.length - 1) * this.options.STAGGER + hold;
+                this.after(shownFor, () => this.dismiss());
+            });
+        });
+    }
+
+    render(images, animationUrl, takeHome) {
+        const sheet = document.createElement('div');
+        sheet.className = 'capture-reveal';
+        sheet.style.setProperty('--reveal-columns', Math.min(this.options.COLUMNS, images.length));
+        sheet.style.setProperty('--reveal-gap', `${this.options.GAP}px`);
+        sheet.style.setProperty('--reveal-fade', `${this.options.FADE_DURATION}ms`);
+
+        // Tap to close early
+        sheet.addEventListener('click', () => this.dismiss());
+
+        const title = document.createElement('div');
+        title.className = 'capture-reveal-title';
+        title.textContent = this.options.TITLE;
+        sheet.appendChild(title);
+
+        if (animationUrl) {
+            const animation = document.createElement('img');
+            animation.className = 'capture-reveal-animation';
+            animation.src = animationUrl;
+            animation.alt = '';
+            animation.addEventListener('error', () => animation.remove());
+            sheet.appendChild(animation);
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'capture-reveal-grid';
+        images.forEach(image => {
+            const item = document.createElement('figure');
+            item.className = 'capture-reveal-item';
+
+            const img = document.createElement('img');
+            img.src = image.url;
+            img.alt = '';
+
+            const caption = document.createElement('figcaption');
+            caption.textContent = this.describe(image.metrics);
+
+            item.append(img, caption);
+            grid.appendChild(item);
+        });
+        sheet.appendChild(grid);
+
+        if (takeHome && takeHome.qr) {
+            const code = document.createElement('div');
+            code.className = 'capture-reveal-take-home';
+
+            const qr = document.createElement('img');
+            qr.src = takeHome.qr;
+            qr.alt = takeHome.url || '';
+
+            const text = document.createElement('span');
+            text.textContent = this.options.TAKE_HOME_TEXT;
+
+            code.append(qr, text);
+            sheet.appendChild(code);
+        }
+
+        return sheet;
+    }
+
+    // "Level 2 · 41%" from the metric snapshot stored with the capture (game captures show the score only)
+    describe(metrics) {
+        if (!metrics) return '';
+        const parts = [];
+        if (typeof metrics.smileLevel === 'number' && !metrics.scenarioId) parts.push(`Level ${metrics.smileLevel}`);
+        if (typeof metrics.smilingScore === 'number') parts.push(`${Math.round(metrics.smilingScore)}%`);
+        return parts.join(' · ');
+    }
+
+    // Fade out, then remove
+    dismiss() {
+        if (!this.element) return;
+        const element = this.element;
+        this.element = null;
+        this.clearTimers();
+        element.classList.remove('visible');
+        this.after(this.options.FADE_DURATION, () => {
+            element.remove();
+            this.done();
+        });
+    }
+
+    // Remove immediately (mirror reset)
+    cancel() {
+        this.clearTimers();
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        this.done();
+    }
+
+    done() {
+        const finish = this.finish;
+        this.finish = null;
+        if (finish) finish();
+    }
+
+    after(ms, callback) {
+        this.timers.push(setTimeout(callback, ms));
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+}
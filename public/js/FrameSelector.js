@@ -0,0 +1,184 @@
+// Frame Selector - Picks the best frames of a measurement window for upload
+
+import { CONFIG } from './config.js';
+
+export class FrameSelector {
+    constructor(mirrorInstance, options = {}) {
+        this.mirror = mirrorInstance; // DigitalMirror instance
+        this.options = { ...CONFIG.FRAME_SELECTION, ...options };
+        this.measurementWindow = null;
+        this.candidates = [];
+        this.sampled = 0;
+        this.sampleTimer = null;
+
+        // Small canvas the face region is scaled into for the sharpness measure
+        this.analysisCanvas = document.createElement('canvas');
+        this.analysisCtx = this.analysisCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    // Start sampling a window; `measurementWindow` describes it, e.g. { smileLevel: 2 } or { scenarioId: 'fixed_movein' }
+    start(measurementWindow) {
+        this.cancel();
+        this.measurementWindow = measurementWindow;
+        this.sampleTimer = setInterval(() => this.sample(), this.options.SAMPLE_INTERVAL);
+        this.sample();
+    }
+
+    // Stop sampling and return the best frames, best first:
+    // [{ canvas, metrics (tagged with the window), selection: { window, rank, candidates, scores, raw } }]
+    finish() {
+        const measurementWindow = this.measurementWindow;
+        const sampled = this.sampled;
+        this.stopSampling();
+
+        const chosen = [];
+        for (const candidate of this.rank(this.candidates)) {
+            if (chosen.length >= this.options.TOP_N) break;
+            if (chosen.some(other => Math.abs(other.sampledAt - candidate.sampledAt) < this.options.MIN_SPACING)) continue;
+            chosen.push(candidate);
+        }
+
+        this.candidates = [];
+        this.measurementWindow = null;
+
+        return chosen.map((candidate, index) => ({
+            canvas: candidate.canvas,
+            sampledAt: candidate.sampledAt,
+            metrics: { ...candidate.metrics, ...measurementWindow },
+            selection: {
+                window: measurementWindow,
+                rank: index + 1,
+                candidates: sampled,
+                scores: candidate.scores,
+                raw: candidate.raw
+            }
+        }));
+    }
+
+    cancel() {
+        this.stopSampling();
+        this.candidates = [];
+        this.measurementWindow = null;
+    }
+
+    stopSampling() {
+        if (this.sampleTimer) {
+            clearInterval(this.sampleTimer);
+            this.sampleTimer = null;
+        }
+        this.sampled = 0;
+    }
+
+    sample() {
+        const webcam = this.mirror.webcam;
+        const box = this.mirror.faceBoundingBox;
+        const landmarks = this.mirror.realLandmarks;
+        if (!webcam || !webcam.videoWidth || !box || !landmarks || landmarks.length < 468) {
+            return; // No face in view - nothing worth keeping
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = webcam.videoWidth;
+        canvas.height = webcam.videoHeight;
+        canvas.getContext('2d').drawImage(webcam, 0, 0, canvas.width, canvas.height);
+
+        this.sampled++;
+        this.candidates.push({
+            canvas,
+            sampledAt: Date.now(),
+            metrics: this.mirror.getMetricSnapshot(),
+            raw: {
+                smile: Math.max(0, Math.min(1, this.mirror.smoothedSmileScore || 0)),
+                sharpness: Math.round(this.measureSharpness(canvas, box) * 10) / 10,
+                eyeOpenness: this.measureEyeOpenness(landmarks),
+                faceWidth: box.width / canvas.width
+            }
+        });
+
+        // Bounded buffer: drop the weakest candidate once it is full
+        if (this.candidates.length > this.options.BUFFER_SIZE) {
+            const ranked = this.rank(this.candidates);
+            const weakest = ranked[ranked.length - 1];
+            this.candidates = this.candidates.filter(candidate => candidate !== weakest);
+        }
+    }
+
+    // Score every candidate (0-1 per component) and sort best first. Sharpness and face
+    // size depend on camera and distance, so they are scored relative to the window's best.
+    rank(candidates) {
+        const weights = this.options.WEIGHTS;
+        const maxSharpness = Math.max(...candidates.map(c => c.raw.sharpness), 0);
+        const maxFaceWidth = Math.max(...candidates.map(c => c.raw.faceWidth), 0);
+        const eyeRange = this.options.EYES_OPEN_RATIO - this.options.EYES_CLOSED_RATIO;
+
+        for (const candidate of candidates) {
+            const scores = {
+                smile: candidate.raw.smile,
+                sharpness: maxSharpness > 0 ? candidate.raw.sharpness / maxSharpness : 0,
+                eyesOpen: Math.max(0, Math.min(1, (candidate.raw.eyeOpenness - this.options.EYES_CLOSED_RATIO) / eyeRange)),
+                faceSize: maxFaceWidth > 0 ? candidate.raw.faceWidth / maxFaceWidth : 0
+            };
+            scores.total = weights.SMILE * scores.smile +
+                weights.SHARPNESS * scores.sharpness +
+                weights.EYES_OPEN * scores.eyesOpen +
+                weights.FACE_SIZE * scores.faceSize;
+
+            for (const key of Object.keys(scores)) {
+                scores[key] = Math.round(scores[key] * 1000) / 1000;
+            }
+            candidate.scores = scores;
+        }
+
+        return [...candidates].sort((a, b) => b.scores.total - a.scores.total);
+    }
+
+    // Variance of the Laplacian over the (downscaled, greyscale) face region
+    measureSharpness(canvas, box) {
+        const sx = Math.max(0, box.x - box.width / 2);
+        const sy = Math.max(0, box.y - box.height / 2);
+        const sw = Math.min(canvas.width - sx, box.width);
+        const sh = Math.min(canvas.height - sy, box.height);
+        if (sw < 8 || sh < 8) return 0;
+
+        const width = this.options.SHARPNESS_SIZE;
+        const height = Math.max(8, Math.round(width * sh / sw));
+        this.analysisCanvas.width = width;
+        this.analysisCanvas.height = height;
+        this.analysisCtx.drawImage(canvas, sx, sy, sw, sh, 0, 0, width, height);
+        const { data } = this.analysisCtx.getImageData(0, 0, width, height);
+
+        const grey = new Float32Array(width * height);
+        for (let i = 0; i < grey.length; i++) {
+            grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const laplacian = grey[i - 1] + grey[i + 1] + grey[i - width] + grey[i + width] - 4 * grey[i];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+        if (count === 0) return 0;
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    // Mean eye aspect ratio (lid gap / eye width) of both eyes; drops towards 0 in a blink
+    measureEyeOpenness(landmarks) {
+        const L = CONFIG.LANDMARKS;
+        const ratio = (top, bottom, inner, outer) => {
+            const width = Math.hypot(landmarks[outer][0] - landmarks[inner][0], landmarks[outer][1] - landmarks[inner][1]);
+            if (!width) return 0;
+            return Math.hypot(landmarks[top][0] - landmarks[bottom][0], landmarks[top][1] - landmarks[bottom][1]) / width;
+        };
+        const left = ratio(L.LEFT_EYE_TOP, L.LEFT_EYE_BOTTOM, L.LEFT_EYE_INNER, L.LEFT_EYE_OUTER);
+        const right = ratio(L.RIGHT_EYE_TOP, L.RIGHT_EYE_BOTTOM, L.RIGHT_EYE_INNER, L.RIGHT_EYE_OUTER);
+        return Math.round((left + right) / 2 * 1000) / 1000;
+    }
+}
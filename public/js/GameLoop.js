@@ -117,6 +117,7 @@ export class GameLoop {
                 this.gameUI.displayScenario(this.currentScenario, currentBalance, () => {})
             );
             this.gameUI.setCurrentScenario(this.currentScenario);
+            this.mirror.recordEvent('scenario_start', { scenarioId: this.currentScenario.id, position: i });
 
             await this.delay(50);
             if (!this.isRunning) return;
@@ -189,6 +190,9 @@ export class GameLoop {
         // Reset baseline for new observation
         this.measurementAnalyzer.resetBaseline();
         
+        // Sample candidate frames for this scenario; the best are uploaded when it ends
+        this.mirror.startFrameSelection({ scenarioId: this.currentScenario.id });
+        
         let lastUpdateTime = startTime;
         let lastSmilingScore = null;
         let pointsDeductedSoFar = 0;
@@ -217,6 +221,10 @@ export class GameLoop {
                     
                     // Calculate current metrics
                     currentMetrics = this.mirror.calculateMetrics();
+                    this.mirror.recordTelemetry('game', currentMetrics, {
+                        scenarioId: this.currentScenario.id,
+                        facePresent: faceDetected
+                    });
                     
                     if (currentMetrics) {
                         // Record frame data with elapsed time
@@ -279,6 +287,12 @@ export class GameLoop {
         
         await observe();
         
+        if (this.isRunning) {
+            this.mirror.finishFrameSelection(); // Uploads in the background
+        } else {
+            this.mirror.cancelFrameSelection();
+        }
+        
         // Set progress display to completed idle state
         this.gameUI.updateProgress(100, this.currentScenario.observationDuration, false);
         
@@ -288,15 +302,19 @@ export class GameLoop {
         
         // Get dynamic thresholds based on genuine smile count
         const thresholds = this.gameState.getGenuineSmileThresholds();
+        const thresholdTier = this.gameState.genuineSmilesCount >= 1 ? 'raised' : 'base';
         
         let chargeAmount = 0;
+        let outcome = 'polite';
         if (finalSmilingScore < thresholds.smileDetected) {
+            outcome = 'no_smile';
             chargeAmount = -Math.abs(this.currentScenario.noSmilePenalty);
             this.gameState.deductPoints(Math.abs(this.currentScenario.noSmilePenalty));
         } else if (finalSmilingScore >= thresholds.smileScore && 
                    finalMetrics.facialSymmetry >= thresholds.symmetry && 
                    finalMetrics.joyDetection >= thresholds.joy) {
             const reward = Math.ceil(Math.abs(this.currentScenario.smileCost) * 2.0);
+            outcome = 'genuine';
             chargeAmount = reward;
             this.gameState.addPoints(reward);
             this.gameState.recordGenuineSmile();
@@ -304,6 +322,29 @@ export class GameLoop {
             chargeAmount = -Math.abs(this.currentScenario.smileCost);
             this.gameState.deductPoints(Math.abs(this.currentScenario.smileCost));
         }
+        this.gameState.recordScenarioResult({
+            scenarioId: this.currentScenario.id,
+            smilingScore: Math.round(finalSmilingScore),
+            pointsEarned: chargeAmount > 0 ? chargeAmount : 0,
+            pointsDeducted: chargeAmount < 0 ? -chargeAmount : 0
+        });
+        
+        // How this smile was judged, for the analytics dashboard
+        const history = this.gameState.getScenarioHistory();
+        const result = history[history.length - 1];
+        this.mirror.recordEvent('scenario_result', {
+            scenarioId: this.currentScenario.id,
+            position: history.length - 1,
+            smilingScore: result.smilingScore,
+            facialSymmetry: finalMetrics ? Math.round(finalMetrics.facialSymmetry) : 0,
+            joyDetection: finalMetrics ? Math.round(finalMetrics.joyDetection) : 0,
+            chargeAmount,
+            balanceBefore: result.balanceBefore,
+            balanceAfter: result.balanceAfter,
+            outcome,
+            thresholdTier,
+            thresholds
+        });
         // Score recorded — inter-scenario transitions handled by runGameLoop
     }
     
@@ -326,10 +367,21 @@ export class GameLoop {
             this.gameUI.displayGameOver()
         );
         
-        // Auto-restart after 10 seconds - return to beginning (measurement stage)
-        setTimeout(() => {
+        // Balance history for the printed report
+        if (this.mirror) {
+            this.mirror.recordEnding('game_over');
+            this.mirror.submitSessionSummary('I am your mirror.', {
+                scenarioHistory: this.gameState.getScenarioHistory(),
+                finalBalance: this.gameState.getBalance()
+            });
+        }
+        
+        // Reveal the visitor's captures over the game-over screen, then return to the
+        // beginning (measurement stage) - after at least 10 seconds
+        const reveal = this.mirror ? this.mirror.revealCapturedImages(this.container) : Promise.resolve();
+        Promise.all([reveal, this.delay(10000)]).then(() => {
             this.restartFromBeginning();
-        }, 10000);
+        });
     }
     
     restartFromBeginning() {
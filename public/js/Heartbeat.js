@@ -0,0 +1,73 @@
+// Heartbeat - Tells the server the kiosk is alive, for /health/ready and the back office
+//
+// Every INTERVAL ms it posts { fps, detectionMs, modelLoaded, phase, asrConnected }. fps counts
+// animation frames since the last beat, so a hidden or frozen page reports (close to) zero;
+// detectionMs is the average face detection time since the last beat (null if none ran).
+
+import { CONFIG } from './config.js';
+
+export class Heartbeat {
+    // getStatus() returns { modelLoaded, phase, asrConnected } at the time of each beat
+    constructor(serverUrl, getStatus, options = {}) {
+        this.serverUrl = serverUrl;
+        this.getStatus = getStatus;
+        this.options = { ...CONFIG.HEARTBEAT, ...options };
+        this.frames = 0;
+        this.since = performance.now();
+        this.detectionTotal = 0;
+        this.detections = 0;
+        this.frameRequest = null;
+        this.timer = null;
+        this.countFrame = this.countFrame.bind(this);
+    }
+
+    start() {
+        if (!this.options.ENABLED || this.timer) return;
+        this.frames = 0;
+        this.since = performance.now();
+        this.frameRequest = requestAnimationFrame(this.countFrame);
+        this.timer = setInterval(() => this.send(), this.options.INTERVAL);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        if (this.frameRequest) cancelAnimationFrame(this.frameRequest);
+        this.timer = null;
+        this.frameRequest = null;
+    }
+
+    // Time one face detection took, in ms
+    recordDetection(ms) {
+        this.detectionTotal += ms;
+        this.detections++;
+    }
+
+    countFrame() {
+        this.frames++;
+        this.frameRequest = requestAnimationFrame(this.countFrame);
+    }
+
+    async send() {
+        const now = performance.now();
+        const fps = this.frames * 1000 / Math.max(1, now - this.since);
+        const detectionMs = this.detections > 0 ? Math.round(this.detectionTotal / this.detections * 10) / 10 : null;
+        this.frames = 0;
+        this.since = now;
+        this.detectionTotal = 0;
+        this.detections = 0;
+
+        try {
+            const response = await fetch(`${this.serverUrl}/heartbeat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ fps: Math.round(fps * 10) / 10, detectionMs, ...this.getStatus() })
+            });
+            if (!response.ok) {
+                console.error('Heartbeat rejected:', response.status);
+            }
+        } catch (error) {
+            // Server unreachable; the next beat tries again
+            console.error('Heartbeat failed:', error.message);
+        }
+    }
+}
@@ -0,0 +1,66 @@
+// Mirror Memory - The server's daily average-face composite on the welcome screen
+//
+// "I remember your expressions longer than you do": the newest composite from GET /composites
+// fades in above the welcome prompt with how many faces it holds. Nothing shows until the server
+// has drawn one, or when the newest is older than MAX_AGE_DAYS.
+
+import { CONFIG } from './config.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export class MirrorMemory {
+    // `figure` is the welcome screen's <figure> holding an <img> and a <figcaption>
+    constructor(serverUrl, figure, options = {}) {
+        this.serverUrl = serverUrl;
+        this.figure = figure;
+        this.image = figure.querySelector('img');
+        this.caption = figure.querySelector('figcaption');
+        this.options = { ...CONFIG.MIRROR_MEMORY, ...options };
+        this.shown = null; // URL of the image on display
+        this.figure.style.transitionDuration = `${this.options.FADE_DURATION}ms`;
+    }
+
+    // Show the newest composite (again); called whenever the welcome screen appears
+    async show() {
+        if (!this.options.ENABLED) return;
+
+        let newest;
+        try {
+            const response = await fetch(`${this.serverUrl}/composites`, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            newest = (await response.json()).composites[0];
+        } catch (error) {
+            console.warn('Mirror memory unavailable:', error.message);
+            return;
+        }
+
+        if (!newest || Date.now() - Date.parse(newest.date) > (this.options.MAX_AGE_DAYS + 1) * DAY) {
+            this.hide();
+            return;
+        }
+
+        const url = `${this.serverUrl}${newest.url}?v=${encodeURIComponent(newest.generatedAt)}`;
+        if (url !== this.shown) {
+            this.image.src = url;
+            try {
+                await this.image.decode();
+            } catch (error) {
+                console.warn('Mirror memory image failed to load');
+                this.hide();
+                return;
+            }
+            this.shown = url;
+        }
+
+        const today = newest.date === new Date().toLocaleDateString('en-CA');
+        this.caption.textContent = `I remember ${newest.faces} faces from ${today ? 'today' : newest.date}.`;
+        this.figure.hidden = false;
+        // Next frame, so the fade runs from the hidden state
+        requestAnimationFrame(() => this.figure.classList.add('visible'));
+    }
+
+    hide() {
+        this.figure.classList.remove('visible');
+        this.figure.hidden = true;
+    }
+}
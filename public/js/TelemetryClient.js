@@ -0,0 +1,115 @@
+// Telemetry Client - Buffers per-frame metrics and sends them to the server in batches
+//
+// record() only pushes a small array, so it is safe to call from the 30 fps tracking loop.
+// Batches are gzip-compressed (CompressionStream) and sent from a timer, off the hot path.
+
+import { CONFIG } from './config.js';
+
+// Column order of every frame array; the server expects the same list
+export const TELEMETRY_FIELDS = ['t', 'phase', 'scenarioId', 'smile', 'muscle', 'symmetry', 'joy', 'face'];
+
+export class TelemetryClient {
+    constructor(serverUrl, options = {}) {
+        this.serverUrl = serverUrl;
+        this.options = { ...CONFIG.TELEMETRY, ...options };
+        this.sessionId = null;
+        this.frames = [];
+        this.timer = null;
+        this.scale = Math.pow(10, this.options.DECIMALS);
+    }
+
+    // metrics: the result of calculateMetrics() (null when nothing was measured this frame)
+    record(sessionId, phase, metrics, { scenarioId = null, facePresent = !!metrics } = {}) {
+        if (!this.options.ENABLED || !sessionId) return;
+
+        // A new visitor: send what is left of the previous one first
+        if (sessionId !== this.sessionId) {
+            this.flush();
+            this.sessionId = sessionId;
+        }
+
+        this.frames.push([
+            Date.now(),
+            phase,
+            scenarioId,
+            metrics ? this.round(metrics.smilingScore) : null,
+            metrics ? this.round(metrics.muscleActivation) : null,
+            metrics ? this.round(metrics.facialSymmetry) : null,
+            metrics ? this.round(metrics.joyDetection) : null,
+            facePresent ? 1 : 0
+        ]);
+        if (this.frames.length > this.options.MAX_BUFFER) {
+            this.frames.splice(0, this.frames.length - this.options.MAX_BUFFER);
+        }
+
+        if (this.frames.length >= this.options.MAX_BATCH) {
+            this.schedule(0);
+        } else if (!this.timer) {
+            this.schedule(this.options.FLUSH_INTERVAL);
+        }
+    }
+
+    round(value) {
+        return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * this.scale) / this.scale : null;
+    }
+
+    schedule(delay) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.send();
+        }, delay);
+    }
+
+    // Send the buffered frames now (e.g. when the session ends); `unloading` skips compression
+    // so the request is queued before the page goes away
+    flush(unloading = false) {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        return this.send(unloading);
+    }
+
+    async send(unloading = false) {
+        if (this.frames.length === 0 || !this.sessionId) return;
+
+        // Taken synchronously, so a batch always belongs to the session it was recorded in
+        const sessionId = this.sessionId;
+        const frames = this.frames.splice(0, this.options.MAX_BATCH * 5);
+        const payload = JSON.stringify({ sessionId, fields: TELEMETRY_FIELDS, frames });
+
+        try {
+            const compressed = !unloading && typeof CompressionStream !== 'undefined';
+            const body = compressed ? await this.gzip(payload) : payload;
+            const response = await fetch(`${this.serverUrl}/telemetry`, {
+                method: 'POST',
+                headers: compressed
+                    ? { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' }
+                    : { 'Content-Type': 'application/json' },
+                body,
+                keepalive: unloading
+            });
+            if (!response.ok) {
+                // Rejected batches are not retried (the session is gone or the data was malformed)
+                console.error('Telemetry batch rejected:', response.status);
+            }
+        } catch (error) {
+            // Network failure: put the frames back for the next attempt (MAX_BUFFER still applies)
+            console.error('Failed to send telemetry:', error);
+            if (sessionId === this.sessionId) {
+                this.frames.unshift(...frames);
+                this.frames.splice(0, Math.max(0, this.frames.length - this.options.MAX_BUFFER));
+            }
+        }
+
+        if (this.frames.length > 0 && !this.timer) {
+            this.schedule(this.options.FLUSH_INTERVAL);
+        }
+    }
+
+    async gzip(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
+}
@@ -1,5 +1,8 @@
 // Configuration constants for the Digital Mirror application
 
+// Set by the server's /client-config.js (its publicUrl setting); absent when the page is opened from disk
+const SERVER_CONFIG = window.MIRROR_SERVER_CONFIG || {};
+
 export const CONFIG = {
     // Facial detection settings
     FACE_DETECTION: {
@@ -119,7 +122,74 @@ export const CONFIG = {
     CAPTURE: {
         IMAGE_FORMAT: 'image/jpeg',
         IMAGE_QUALITY: 0.9,
-        SERVER_URL: 'http://localhost:3001'
+        // The configured server, else the server hosting this page
+        SERVER_URL: SERVER_CONFIG.serverUrl ||
+            (window.location.protocol.startsWith('http') ? window.location.origin : 'http://localhost:3001')
+    },
+    
+    // Best-frame selection: candidates are sampled through each measurement window
+    // (smile level or game scenario) and only the best TOP_N are uploaded
+    FRAME_SELECTION: {
+        SAMPLE_INTERVAL: 250,     // ms between candidate frames
+        BUFFER_SIZE: 8,           // Full-resolution candidates kept in memory per window
+        TOP_N: 1,                 // Frames uploaded per window
+        MIN_SPACING: 500,         // ms between two frames chosen from the same window
+        WEIGHTS: {
+            SMILE: 0.4,
+            SHARPNESS: 0.3,
+            EYES_OPEN: 0.2,
+            FACE_SIZE: 0.1
+        },
+        EYES_CLOSED_RATIO: 0.1,   // Eye height / width at or below this counts as closed
+        EYES_OPEN_RATIO: 0.22,    // ...and at or above this as fully open
+        SHARPNESS_SIZE: 128       // Face region is downscaled to this width for the Laplacian
+    },
+    
+    // End-of-experience reveal of the visitor's own captures (times in ms)
+    REVEAL: {
+        START_DELAY: 2500,     // After the result screen appears
+        STAGGER: 400,          // Between one photo fading in and the next
+        FADE_DURATION: 700,
+        HOLD_DURATION: 7000,   // Full contact sheet stays up this long
+        TAKE_HOME_HOLD_DURATION: 20000, // ...or this long when it shows a take-home QR code
+        COLUMNS: 3,
+        GAP: 12,               // px between photos
+        MAX_IMAGES: 9,
+        TITLE: 'What I saw',
+        TAKE_HOME_TEXT: 'Scan to take these home'
+    },
+    
+    // Per-frame metric telemetry sent to POST /telemetry (times in ms)
+    TELEMETRY: {
+        ENABLED: true,
+        FLUSH_INTERVAL: 2000,  // Send buffered frames this often...
+        MAX_BATCH: 120,        // ...or as soon as this many are waiting
+        MAX_BUFFER: 3000,      // Oldest frames are dropped beyond this while the server is unreachable
+        DECIMALS: 1            // Metric values are rounded to this many decimals
+    },
+
+    // Kiosk heartbeat for the server's readiness check (see server/health.js)
+    HEARTBEAT: {
+        ENABLED: true,
+        INTERVAL: 10000        // ms between beats; keep well under the server's heartbeatTimeoutSeconds
+    },
+
+    // Captures the server could not take are kept in IndexedDB and sent later (times in ms)
+    CAPTURE_QUEUE: {
+        ENABLED: true,
+        MAX_ENTRIES: 200,      // Oldest captures are dropped beyond this many...
+        MAX_BYTES: 50 * 1024 * 1024, // ...or this much image data
+        MAX_ATTEMPTS: 10,      // A capture the server keeps failing on (5xx) is dropped after this many tries
+        BASE_DELAY: 2000,      // First retry while the server is down; doubles each time...
+        MAX_DELAY: 60000,      // ...up to this
+        SHOW_INDICATOR: true   // Corner badge with the queue depth while captures are waiting
+    },
+
+    // The server's daily average-face composite ("mirror memory") on the welcome screen
+    MIRROR_MEMORY: {
+        ENABLED: true,
+        MAX_AGE_DAYS: 7,       // Older composites aren't shown
+        FADE_DURATION: 1500    // ms
     }
 };
 
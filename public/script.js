@@ -21,6 +21,9 @@ class DigitalMirror {
         this.errorMessage = document.getElementById('error-message');
         this.retryButton = document.getElementById('retry-button');
         this.welcomeScreen = document.getElementById('welcome-screen');
+        this.welcomePrompt = document.getElementById('welcome-prompt');
+        this.welcomeHint = document.getElementById('welcome-hint');
+        this.welcomeMemory = document.getElementById('welcome-memory');
         this.aiAssistant = document.getElementById('ai-assistant');
         this.aiMessage = document.getElementById('ai-message');
         this.aiWaveform = document.getElementById('ai-waveform');
@@ -31,8 +34,42 @@ class DigitalMirror {
         this.isListening = false;
         this.fallbackActive = false;
         
-        // Store captured face images for opening at the end
+        // Store captured face images for the reveal at the end
         this.capturedFaceImages = [];
+        this.captureReveal = null; // CaptureReveal, loaded on first use
+        this.frameSelector = null; // FrameSelector, loaded on first use
+        this.frameSelectionStart = null;
+        this.frameSelectionGeneration = 0;
+        this.telemetry = null; // TelemetryClient, loaded on first use
+        this.telemetryLoading = null;
+        this.heartbeat = null; // Heartbeat to the server's readiness check
+        this.captureQueue = null; // Loading promise of the offline capture queue
+        this.captureQueueIndicator = null;
+        this.mirrorMemory = null; // Loading promise of the welcome screen's composite (MirrorMemory)
+        this.latestMetrics = null; // Last calculateMetrics() result of the current frame
+        
+        // Capture server (publicUrl from the server's /client-config.js, else the server hosting this page)
+        // and the visitor session captures are filed under
+        const serverConfig = window.MIRROR_SERVER_CONFIG || {};
+        this.serverUrl = serverConfig.serverUrl ||
+            (window.location.protocol.startsWith('http') ? window.location.origin : 'http://localhost:3001');
+        this.sessionId = null;
+        this.sessionPromise = null;
+        // Capture mode asked for with ?captureMode=blurred|landmarks-only (the server only lets it be
+        // stricter than its own capture.mode) and the mode the server settled on for the session
+        this.requestedCaptureMode = new URLSearchParams(window.location.search).get('captureMode');
+        this.sessionCaptureMode = null;
+        // The server's capture mode for the previous session (the installation's until one started), for runs started offline
+        this.lastCaptureMode = serverConfig.captureMode || null;
+        this.offlineSessionId = null; // Session whose start waits in the offline capture queue
+        
+        // Photo consent: null until answered; false runs the experience without storing captures
+        this.consent = null;
+        this.awaitingConsent = false;
+        
+        // Funnel analytics: a face was reported at the welcome screen / the run reached an ending
+        this.visitorGreeted = false;
+        this.runEnded = false;
         
         // Smile verification system properties
         this.smileLevel = 0;
@@ -143,10 +180,15 @@ class DigitalMirror {
             this.setupFallbackControls();
             this.startDistortionLoop();
             this.startFacePresenceMonitoring(); // Start global face presence monitoring
+            this.startHeartbeat();
+            this.getCaptureQueue(); // Sends captures left over from before a reload
             // Always add test button for easy testing
             this.addTestButton();
             // Add debug button to skip smile measurement
             this.addDebugSkipToGameButton();
+            // Ask for photo consent before the first claim
+            this.requestConsent();
+            this.showMirrorMemory();
         } catch (error) {
             console.error('Initialization failed:', error);
             this.showError();
@@ -350,6 +392,12 @@ class DigitalMirror {
                             const transcript = message.text;
                             console.log('[ASR]', transcript);
                             
+                            // Consent question is open - only listen for yes/no
+                            if (this.awaitingConsent) {
+                                this.handleConsentTranscript(transcript.toLowerCase().trim());
+                                return;
+                            }
+                            
                             // Use existing detectHumanPhrase and processHumanClaim
                             if (this.detectHumanPhrase(transcript.toLowerCase().trim())) {
                                 console.log('[ASR] Human phrase detected');
@@ -704,6 +752,12 @@ class DigitalMirror {
             
             console.log('Speech detected:', transcript);
             
+            // Consent question is open - only listen for yes/no
+            if (this.awaitingConsent) {
+                this.handleConsentTranscript(transcript);
+                return;
+            }
+            
             // Check for "I am human" variations
             if (this.detectHumanPhrase(transcript)) {
                 console.log('Human phrase detected!');
@@ -796,6 +850,26 @@ class DigitalMirror {
         return humanPhrases.some(phrase => transcript.includes(phrase));
     }
     
+    // Map a yes/no answer to the consent question; null if it's neither
+    detectConsentAnswer(transcript) {
+        const words = transcript.replace(/[^a-z'\s]/g, ' ').split(/\s+/).filter(Boolean);
+        const noWords = ['no', 'nope', 'nah', 'not', "don't", 'dont', 'never'];
+        const yesWords = ['yes', 'yeah', 'yep', 'yup', 'sure', 'okay', 'ok', 'agree', 'consent', 'fine'];
+        
+        // Any refusal word wins, so a hesitant "yes... no" never counts as agreement
+        if (words.some(word => noWords.includes(word))) return 'no';
+        if (words.some(word => yesWords.includes(word))) return 'yes';
+        return null;
+    }
+    
+    handleConsentTranscript(transcript) {
+        const answer = this.detectConsentAnswer(transcript);
+        if (answer) {
+            console.log(`Consent answer detected: ${answer}`);
+            this.recordConsent(answer === 'yes');
+        }
+    }
+    
     handleSpeechError(error) {
         let errorMessage = '';
         let shouldRestart = true; // Always try to restart
@@ -980,6 +1054,16 @@ class DigitalMirror {
         this.retryButton.addEventListener('click', () => {
             this.retryWebcam();
         });
+        
+        // Y / N answers the consent question
+        document.addEventListener('keydown', (event) => {
+            if (!this.awaitingConsent) return;
+            const key = event.key.toLowerCase();
+            if (key === 'y' || key === 'n') {
+                event.preventDefault();
+                this.recordConsent(key === 'y');
+            }
+        });
     }
     
     setupFallbackControls() {
@@ -996,8 +1080,19 @@ class DigitalMirror {
             return;
         }
         
+        // The consent question has to be answered before the first claim
+        if (this.smileLevel === 0 && this.consent === null) {
+            if (!this.awaitingConsent) {
+                this.requestConsent();
+            }
+            return;
+        }
+        
         // If this is the first claim (smileLevel 0), transition from welcome to gatekeeper
         if (this.smileLevel === 0) {
+            // A new visitor run starts here
+            this.startSession();
+            
             // Hide welcome screen
             if (this.welcomeScreen) {
                 this.welcomeScreen.classList.add('hidden');
@@ -1040,6 +1135,38 @@ class DigitalMirror {
         }, 1000);
     }
     
+    // Ask whether we may keep photos, between the welcome screen and the "I am human" claim
+    requestConsent() {
+        this.consent = null;
+        this.awaitingConsent = true;
+        
+        if (this.welcomePrompt) {
+            this.welcomePrompt.textContent = 'May I keep photos of your face?';
+        }
+        if (this.welcomeHint) {
+            this.welcomeHint.textContent = 'Say "yes" or "no" (or press Y / N)';
+        }
+        this.updateAIMessage('Before we begin: may I keep photos of your face? Say yes or no.', false);
+    }
+    
+    recordConsent(granted) {
+        if (!this.awaitingConsent) return;
+        this.awaitingConsent = false;
+        this.consent = granted;
+        
+        console.log(granted ? 'Photo consent given' : 'Photo consent declined - running without storing captures');
+        
+        if (this.welcomePrompt) {
+            this.welcomePrompt.textContent = 'Say "I am human"';
+        }
+        if (this.welcomeHint) {
+            this.welcomeHint.textContent = granted ? '' : 'No photos will be kept.';
+        }
+        this.updateAIMessage(granted
+            ? 'Thank you. To begin, simply say "I am human"'
+            : 'Understood, nothing will be kept. To begin, simply say "I am human"', false);
+    }
+    
     updateHumanityLevel() {
         // Update verification status display with playful messages
         const statusText = this.humanityPercentage === 100 ? 'Welcome' :
@@ -1328,8 +1455,9 @@ class DigitalMirror {
         // Update instruction text for current level
         this.updateSmileInstruction();
         
-        // Capture face image during smile measurement
-        this.capturedFaceImages = await this.captureFaceImage();
+        // Sample candidate frames while this level is measured; the best are uploaded when it ends
+        this.startFrameSelection({ smileLevel: this.smileLevel });
+        this.recordEvent('attempt', { level: this.smileLevel });
         
         // Start fake analysis on mirror surface
         this.startFakeAnalysis();
@@ -1435,6 +1563,7 @@ class DigitalMirror {
             if (progress >= 100) {
                 clearInterval(this.analysisTimer);
                 this.stopOverlayUpdates();
+                this.finishFrameSelection();
                 this.showSmileResults();
             }
         }, 1000);
@@ -1546,6 +1675,7 @@ class DigitalMirror {
         ctx.clearRect(0, 0, width, height);
         
         // Perform continuous facial detection
+        this.latestMetrics = null;
         const faceDetected = await this.performContinuousFacialDetection();
         
         if (faceDetected && this.faceBoundingBox) {
@@ -1570,6 +1700,8 @@ class DigitalMirror {
                 console.log('No face detected - showing scan');
             }
         }
+        
+        this.recordTelemetry('verification', this.latestMetrics, { facePresent: !!faceDetected });
     }
     
     // Perform face detection with landmarks
@@ -2111,13 +2243,14 @@ class DigitalMirror {
             this.smoothedMetrics.joyDetection += (joyDetection - this.smoothedMetrics.joyDetection) * this.metricSmoothingFactor;
         }
         
-        return {
+        this.latestMetrics = {
             smilingScore,
             muscleActivation: this.smoothedMetrics.muscleActivation,
             facialSymmetry: this.smoothedMetrics.facialSymmetry,
             joyDetection: this.smoothedMetrics.joyDetection,
             isWarmedUp: this.facialRanges.frameCount >= this.facialRanges.warmupFrames
         };
+        return this.latestMetrics;
     }
     
     // Draw measurement as energy bars - Apple style
@@ -2450,15 +2583,18 @@ class DigitalMirror {
         // Use the smiling score as the main score (capped at 65)
         const finalScore = this.smoothedSmileScore ? Math.round(Math.min(65, this.smoothedSmileScore * 65)) : 0;
         
-        this.updateAIMessage(`I can't let you in. Final score: ${finalScore}%. Funny how hard it is to prove you're human when I'm the one deciding what that means.`);
-        
-        // Open captured face images
-        this.openCapturedImages();
+        const verdict = `I can't let you in. Final score: ${finalScore}%. Funny how hard it is to prove you're human when I'm the one deciding what that means.`;
+        this.updateAIMessage(verdict);
+        this.submitSessionSummary(verdict);
+        this.recordEnding('final_rejection');
         
-        // Start countdown to restart experience
-        setTimeout(() => {
+        // Show the visitor's captures, then count down to restart (at least 2s either way)
+        Promise.all([
+            this.revealCapturedImages(),
+            new Promise(resolve => setTimeout(resolve, 2000))
+        ]).then(() => {
             this.startResetCountdown();
-        }, 2000);
+        });
     }
     
     // Start Emotional Economics Game
@@ -2486,6 +2622,7 @@ class DigitalMirror {
             // Hide overlay and stop analysis
             // NOTE: This does NOT stop continuous face detection - that runs independently
             this.stopOverlayUpdates();
+            this.cancelFrameSelection();
             this.isAnalyzing = false;
             if (this.analysisTimer) {
                 clearInterval(this.analysisTimer);
@@ -2659,6 +2796,7 @@ class DigitalMirror {
             
             // Stop any ongoing processes
             this.stopOverlayUpdates();
+            this.cancelFrameSelection();
             this.isAnalyzing = false;
             this.isListening = false;
             
@@ -2688,6 +2826,9 @@ class DigitalMirror {
             
             // Set smileLevel to 2 to trigger game start
             this.smileLevel = 2;
+            if (!this.sessionPromise) {
+                this.startSession();
+            }
             
             // Start the game directly
             await this.startEmotionalEconomicsGame();
@@ -2778,8 +2919,10 @@ class DigitalMirror {
         // Stop listening
         this.stopListening();
         
-        // Open captured face images
-        this.openCapturedImages();
+        // Show the visitor's captures
+        this.submitSessionSummary(this.failureOverlay.querySelector('.failure-text').textContent.trim());
+        this.recordEnding('failure');
+        this.revealCapturedImages();
         
         console.log('Humanity reached 0% - showing failure page');
     }
@@ -2791,8 +2934,10 @@ class DigitalMirror {
         // Stop listening
         this.stopListening();
         
-        // Open captured face images
-        this.openCapturedImages();
+        // Show the visitor's captures
+        this.submitSessionSummary(this.verdictText.textContent.trim());
+        this.recordEnding('verdict');
+        this.revealCapturedImages();
         
         // Animate verdict text
         setTimeout(() => {
@@ -2822,6 +2967,13 @@ class DigitalMirror {
         this.isAnalyzing = false;
         this.isListening = false;
         this.capturedFaceImages = [];
+        this.visitorGreeted = false;
+        this.runEnded = false;
+        
+        // Close the visitor's session so the next visitor starts clean
+        this.cancelFrameSelection();
+        if (this.captureReveal) this.captureReveal.cancel();
+        this.endSession();
         
         // Reset smoothed metrics
         this.smoothedMetrics = {
@@ -2861,6 +3013,7 @@ class DigitalMirror {
         if (this.welcomeScreen) {
             this.welcomeScreen.classList.remove('hidden');
         }
+        this.showMirrorMemory();
         
         // Clear any buttons from AI assistant
         if (this.aiAssistant) {
@@ -2892,7 +3045,9 @@ class DigitalMirror {
         
         // Reset UI text
         this.humanityLevel.textContent = 'Welcome';
-        this.updateAIMessage('Welcome. To begin, simply say "I am human"', false);
+        
+        // Every new visitor answers the consent question for themselves
+        this.requestConsent();
         
         // Restart continuous face detection (if not already running)
         this.startContinuousFacePresenceDetection();
@@ -2936,94 +3091,529 @@ class DigitalMirror {
         animate();
     }
     
-    // Open captured face images on the laptop
-    async openCapturedImages() {
+    // Reveal this visitor's captures as a contact sheet inside the mirror.
+    // `host` defaults to the mirror frame; the game passes its own container, which covers it.
+    // Resolves when the reveal has finished (immediately if there is nothing to show).
+    async revealCapturedImages(host = document.querySelector('.mirror-frame')) {
         try {
             if (!this.capturedFaceImages || this.capturedFaceImages.length === 0) {
-                console.log('No captured face images to open');
+                console.log('No captured face images to reveal');
+                return;
+            }
+
+            const sessionId = await this.getSessionId();
+            if (!sessionId) {
+                console.log('No session - nothing to reveal');
+                return;
+            }
+
+            // Only this visitor's captures
+            const response = await fetch(`${this.serverUrl}/sessions/${sessionId}/images`);
+            if (!response.ok) {
+                console.error('Failed to get session images:', response.status);
+                return;
+            }
+
+            const result = await response.json();
+            if (!result.images || result.images.length === 0) {
+                console.log('No images found to reveal');
                 return;
             }
 
-            console.log('Opening captured face images...');
+            const takeHome = await this.createTakeHomeLink(sessionId);
             
-            // Get the latest captured images from the backend
-            const response = await fetch('http://localhost:3001/get-latest-images', {
-                method: 'GET'
+            if (!this.captureReveal) {
+                const { CaptureReveal } = await import('./js/CaptureReveal.js');
+                this.captureReveal = new CaptureReveal();
+            }
+
+            console.log(`Revealing ${result.images.length} captured face image(s)`);
+            await this.captureReveal.play(host, result.images.map(image => ({
+                url: `${this.serverUrl}${image.url}`,
+                metrics: image.metrics
+            })), {
+                // The image count busts the browser cache when a later window added frames
+                animationUrl: `${this.serverUrl}/sessions/${sessionId}/animation?v=${result.images.length}`,
+                takeHome
             });
+        } catch (error) {
+            console.error('Error revealing captured images:', error);
+        }
+    }
 
-            if (response.ok) {
-                const result = await response.json();
-                if (result.images && result.images.length > 0) {
-                    // Open each image file
-                    result.images.forEach((imagePath, index) => {
-                        console.log(`Opening image ${index + 1}: ${imagePath}`);
-                        
-                        // Create a new window/tab to display the image
-                        const imageUrl = `http://localhost:3001/images/${imagePath}`;
-                        window.open(imageUrl, `face-image-${index}`, 'width=400,height=400,scrollbars=yes,resizable=yes');
-                    });
-                    
-                    console.log(`Opened ${result.images.length} face image(s) in new windows`);
-                } else {
-                    console.log('No images found to open');
+    // Open a server-side session for this visitor run. The id is picked here, so a run that starts
+    // while the server is unreachable (or failing) goes on offline: the session start is queued
+    // ahead of its captures and sent with them once the server is back.
+    startSession() {
+        this.sessionId = null;
+        this.sessionCaptureMode = null;
+        const body = {
+            id: createSessionId(),
+            startedAt: Date.now(),
+            consent: this.consent === true,
+            ...(this.requestedCaptureMode && { captureMode: this.requestedCaptureMode })
+        };
+        const request = fetch(`${this.serverUrl}/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        })
+            .then(response => {
+                if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+                return response.json();
+            })
+            .then(session => {
+                // The mirror was reset before the server answered - don't adopt a stale session
+                if (this.sessionPromise !== request) {
+                    fetch(`${this.serverUrl}/sessions/${session.id}/close`, { method: 'POST' }).catch(() => {});
+                    return null;
                 }
-            } else {
-                console.error('Failed to get latest images:', response.status);
-            }
+                this.sessionId = session.id;
+                this.sessionCaptureMode = session.captureMode;
+                this.lastCaptureMode = session.captureMode;
+                console.log(`Session started: ${session.id} (${session.captureMode} captures)`);
+                return session.id;
+            })
+            .catch(async error => {
+                console.error('Failed to start session:', error);
+                if (error.status < 500 || this.sessionPromise !== request) return null;
+                if (!await this.queueSessionStart(body) || this.sessionPromise !== request) return null;
+                this.sessionId = body.id;
+                this.offlineSessionId = body.id;
+                // A stricter mode asked for here, else what the server settled on last time
+                this.sessionCaptureMode = this.requestedCaptureMode && this.requestedCaptureMode !== 'full' ?
+                    this.requestedCaptureMode : this.lastCaptureMode;
+                console.warn(`Session started offline: ${body.id} (${this.sessionCaptureMode || 'unknown'} captures)`);
+                return body.id;
+            });
+        this.sessionPromise = request;
+        return request;
+    }
 
+    // Queue the start of a session the server couldn't take; resolves to whether it was queued
+    async queueSessionStart(body) {
+        const queue = await this.getCaptureQueue();
+        if (!queue) return false;
+        try {
+            await queue.enqueueSession(body);
+            return true;
         } catch (error) {
-            console.error('Error opening captured images:', error);
+            console.error('Failed to queue session start:', error);
+            return false;
+        }
+    }
+    
+    // Resolve the current session id (waits for a pending startSession)
+    async getSessionId() {
+        if (this.sessionId) return this.sessionId;
+        if (this.sessionPromise) return this.sessionPromise;
+        return null;
+    }
+    
+    // Close the current session; on page unload use a beacon so the request survives
+    endSession(useBeacon = false) {
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+        this.sessionPromise = null;
+        if (!sessionId) return;
+        
+        if (this.telemetry) this.telemetry.flush(useBeacon);
+        
+        const url = `${this.serverUrl}/sessions/${sessionId}/close`;
+        if (useBeacon && navigator.sendBeacon) {
+            navigator.sendBeacon(url);
+            return;
+        }
+        fetch(url, { method: 'POST' }).catch(error => {
+            console.error('Failed to close session:', error);
+        });
+    }
+    
+    // Snapshot of the current (smoothed) metrics, stored alongside each capture
+    getMetricSnapshot() {
+        return {
+            smilingScore: this.smoothedSmileScore ? Math.min(65, this.smoothedSmileScore * 65) : 0,
+            muscleActivation: this.smoothedMetrics.muscleActivation || 0,
+            facialSymmetry: this.smoothedMetrics.facialSymmetry || 0,
+            joyDetection: this.smoothedMetrics.joyDetection || 0,
+            smileLevel: this.smileLevel,
+            isWarmedUp: this.facialRanges.frameCount >= this.facialRanges.warmupFrames
+        };
+    }
+    
+    // Detect the face on the captured frame itself; fall back to the last tracked landmarks
+    async getCaptureFaceData(captureCanvas) {
+        let landmarks = null;
+        
+        if (this.isModelLoaded && this.model) {
+            try {
+                const faces = await this.model.estimateFaces(captureCanvas, {
+                    flipHorizontal: false,
+                    returnTensors: false,
+                    refineLandmarks: true
+                });
+                if (faces.length > 0 && faces[0].keypoints && faces[0].keypoints.length >= 468) {
+                    landmarks = faces[0].keypoints.map(k => [k.x, k.y, k.z || 0]);
+                }
+            } catch (error) {
+                console.error('Face detection on capture frame failed:', error);
+            }
+        }
+        
+        if (!landmarks && this.realLandmarks && this.realLandmarks.length >= 468) {
+            landmarks = this.realLandmarks.map(l => [l[0], l[1], l[2] || 0]);
+        }
+        
+        // Centre-based box, matching this.faceBoundingBox
+        let faceBoundingBox = this.faceBoundingBox ? { ...this.faceBoundingBox } : null;
+        if (landmarks) {
+            const xs = landmarks.map(l => l[0]);
+            const ys = landmarks.map(l => l[1]);
+            const minX = Math.min(...xs);
+            const maxX = Math.max(...xs);
+            const minY = Math.min(...ys);
+            const maxY = Math.max(...ys);
+            faceBoundingBox = {
+                x: (minX + maxX) / 2,
+                y: (minY + maxY) / 2,
+                width: maxX - minX,
+                height: maxY - minY
+            };
         }
+        
+        return { landmarks, faceBoundingBox };
     }
 
-    // Capture face image and send to backend for processing
-    async captureFaceImage() {
+    // Short-lived link (and QR code) to this session's captures for the visitor's phone; null on failure
+    async createTakeHomeLink(sessionId) {
         try {
-            if (!this.webcam || !this.webcam.videoWidth || !this.webcam.videoHeight) {
-                console.log('Webcam not ready for face capture');
-                return [];
+            const response = await fetch(`${this.serverUrl}/sessions/${sessionId}/share`, { method: 'POST' });
+            if (!response.ok) {
+                console.error('Failed to create take-home link:', response.status);
+                return null;
             }
-
-            // Create canvas to capture current frame
-            const captureCanvas = document.createElement('canvas');
-            const captureCtx = captureCanvas.getContext('2d');
-            
-            captureCanvas.width = this.webcam.videoWidth;
-            captureCanvas.height = this.webcam.videoHeight;
-            
-            // Draw current video frame to canvas
-            captureCtx.drawImage(this.webcam, 0, 0, captureCanvas.width, captureCanvas.height);
+            return await response.json();
+        } catch (error) {
+            console.error('Error creating take-home link:', error);
+            return null;
+        }
+    }
+    
+    // Tell the server how the run ended, for the printed report (only when the visitor kept their photos)
+    async submitSessionSummary(verdict, { scenarioHistory = [], finalBalance = null } = {}) {
+        if (this.consent !== true) return;
+        
+        try {
+            const sessionId = await this.getSessionId();
+            if (!sessionId) return;
+            
+            const response = await fetch(`${this.serverUrl}/sessions/${sessionId}/summary`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    verdict,
+                    finalMetrics: this.getMetricSnapshot(),
+                    scenarioHistory,
+                    finalBalance
+                })
+            });
+            if (!response.ok) {
+                console.error('Failed to submit session summary:', response.status);
+            }
+        } catch (error) {
+            console.error('Error submitting session summary:', error);
+        }
+    }
+    
+    // Report a funnel event for the analytics dashboard (fire and forget). The session is resolved
+    // right away, so an event sent just before a reset still belongs to the run that ended.
+    async recordEvent(kind, detail = null) {
+        const sessionRequest = this.getSessionId();
+        try {
+            const sessionId = await sessionRequest;
+            const response = await fetch(`${this.serverUrl}/events`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId, kind, detail }),
+                keepalive: true
+            });
+            if (!response.ok) {
+                console.error(`Failed to record ${kind} event:`, response.status);
+            }
+        } catch (error) {
+            console.error(`Error recording ${kind} event:`, error);
+        }
+    }
+    
+    // How the run ended: 'failure', 'verdict', 'final_rejection' or 'game_over'
+    recordEnding(kind) {
+        this.runEnded = true;
+        this.recordEvent('ending', { kind });
+    }
+    
+    // Where the visitor is: 'welcome', 'verification', 'game' or 'ending'
+    currentStage() {
+        if (this.runEnded) return 'ending';
+        if (this.gameLoop || this.gameStarting) return 'game';
+        if (this.sessionPromise) return 'verification';
+        return 'welcome';
+    }
+    
+    // The day's average face on the welcome screen (see js/MirrorMemory.js), refreshed each time it appears
+    showMirrorMemory() {
+        if (!this.welcomeMemory) return;
+        if (!this.mirrorMemory) {
+            this.mirrorMemory = import('./js/MirrorMemory.js')
+                .then(({ MirrorMemory }) => new MirrorMemory(this.serverUrl, this.welcomeMemory))
+                .catch(error => {
+                    console.error('Failed to load mirror memory:', error);
+                    return null;
+                });
+        }
+        this.mirrorMemory.then(memory => memory && memory.show());
+    }
+    
+    // Report FPS, detection time, model state and stage to the server every few seconds (POST /heartbeat)
+    startHeartbeat() {
+        import('./js/Heartbeat.js')
+            .then(({ Heartbeat }) => {
+                this.heartbeat = new Heartbeat(this.serverUrl, () => ({
+                    modelLoaded: !!(this.isModelLoaded && this.model),
+                    phase: this.currentStage(),
+                    asrConnected: this.localASR ? this.localASR.isConnected : null
+                }));
+                this.heartbeat.start();
+            })
+            .catch(error => {
+                console.error('Failed to load heartbeat:', error);
+            });
+    }
+    
+    // The offline capture queue (see js/CaptureQueue.js), loaded and started on first use; null when disabled
+    getCaptureQueue() {
+        if (!this.captureQueue) {
+            this.captureQueue = import('./js/CaptureQueue.js')
+                .then(async ({ CaptureQueue }) => {
+                    const queue = new CaptureQueue(this.serverUrl, {
+                        onChange: depth => {
+                            if (queue.options.SHOW_INDICATOR) this.showCaptureQueueDepth(depth);
+                        }
+                    });
+                    if (!queue.options.ENABLED) return null;
+                    await queue.start();
+                    return queue;
+                })
+                .catch(error => {
+                    console.error('Failed to load capture queue:', error);
+                    return null;
+                });
+        }
+        return this.captureQueue;
+    }
+    
+    // Keep a capture the server couldn't take, to upload once it is reachable again. Sessions in an
+    // anonymised capture mode never keep the raw frame on the kiosk, so theirs are dropped.
+    async queueCapture(blob, fields, captureMode) {
+        if (captureMode !== 'full') {
+            console.error(`Face capture lost: server unreachable and ${captureMode ? `${captureMode} captures are not queued` : 'the capture mode is unknown'}`);
+            return;
+        }
+        const queue = await this.getCaptureQueue();
+        if (!queue) {
+            console.error('Face capture lost: server unreachable and no capture queue');
+            return;
+        }
+        try {
+            await queue.enqueue(blob, fields);
+            console.warn('Face capture queued until the server is reachable');
+        } catch (error) {
+            console.error('Failed to queue face capture:', error);
+        }
+    }
+    
+    // Debug badge so staff can see captures piling up while the server is down
+    showCaptureQueueDepth({ count, bytes }) {
+        if (!this.captureQueueIndicator) {
+            this.captureQueueIndicator = document.createElement('div');
+            this.captureQueueIndicator.style.cssText = `
+                position: fixed;
+                bottom: 24px;
+                left: 24px;
+                background: rgba(255, 55, 95, 0.92);
+                color: #fff;
+                padding: 8px 16px;
+                font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Text', sans-serif;
+                font-weight: 510;
+                font-size: 0.8125rem;
+                border-radius: 980px;
+                z-index: 10001;
+                pointer-events: none;
+            `;
+            document.body.appendChild(this.captureQueueIndicator);
+        }
+        this.captureQueueIndicator.textContent =
+            `${count} capture${count === 1 ? '' : 's'} queued (${(bytes / (1024 * 1024)).toFixed(1)} MB)`;
+        this.captureQueueIndicator.style.display = count > 0 ? 'block' : 'none';
+    }
+    
+    // Queue one frame of metrics for POST /telemetry; frames before the session exists are dropped
+    recordTelemetry(phase, metrics, options = {}) {
+        if (!this.sessionId) return;
+        if (this.telemetry) {
+            this.telemetry.record(this.sessionId, phase, metrics, options);
+            return;
+        }
+        if (!this.telemetryLoading) {
+            this.telemetryLoading = import('./js/TelemetryClient.js')
+                .then(({ TelemetryClient }) => {
+                    this.telemetry = new TelemetryClient(this.serverUrl);
+                })
+                .catch(error => {
+                    console.error('Failed to load telemetry client:', error);
+                });
+        }
+    }
+    
+    // Start sampling candidate frames for one measurement window (a smile level or a game scenario)
+    startFrameSelection(measurementWindow) {
+        // No-storage mode: metrics still run, but no frame is kept or uploaded
+        if (this.consent !== true) {
+            console.log('No photo consent - skipping frame selection');
+            return;
+        }
+        
+        const generation = ++this.frameSelectionGeneration;
+        this.frameSelectionStart = (async () => {
+            if (!this.frameSelector) {
+                const { FrameSelector } = await import('./js/FrameSelector.js');
+                this.frameSelector = new FrameSelector(this);
+            }
+            // Cancelled or superseded while the module was loading
+            if (generation !== this.frameSelectionGeneration) return;
+            this.frameSelector.start(measurementWindow);
+        })().catch(error => {
+            console.error('Failed to start frame selection:', error);
+        });
+    }
+    
+    // End the window and upload its best frames; resolves to the uploaded face images
+    async finishFrameSelection() {
+        if (!this.frameSelectionStart) return [];
+        await this.frameSelectionStart;
+        this.frameSelectionStart = null;
+        if (!this.frameSelector) return [];
+        
+        const frames = this.frameSelector.finish();
+        const uploaded = [];
+        for (const frame of frames) {
+            uploaded.push(...await this.uploadCapture(frame));
+        }
+        this.capturedFaceImages.push(...uploaded);
+        return uploaded;
+    }
+    
+    cancelFrameSelection() {
+        this.frameSelectionGeneration++;
+        this.frameSelectionStart = null;
+        if (this.frameSelector) {
+            this.frameSelector.cancel();
+        }
+    }
+    
+    // Send one selected frame to the backend for cropping and storage
+    async uploadCapture({ canvas, sampledAt = Date.now(), metrics, selection }) {
+        try {
+            // Landmarks for exactly this frame so the server crop lines up with the pixels
+            const faceData = await this.getCaptureFaceData(canvas);
             
             // Convert canvas to blob
             const blob = await new Promise(resolve => {
-                captureCanvas.toBlob(resolve, 'image/jpeg', 0.9);
+                canvas.toBlob(resolve, 'image/jpeg', 0.9);
             });
 
+            const sessionId = await this.getSessionId();
+            if (!sessionId) {
+                console.log('No session - skipping face capture');
+                return [];
+            }
+            const captureMode = this.sessionCaptureMode;
+
+            // Form fields, kept as they are if the capture has to wait in the offline queue
+            const fields = {
+                sessionId,
+                capturedAt: String(sampledAt),
+                metrics: JSON.stringify(metrics),
+                selection: JSON.stringify(selection)
+            };
+            if (faceData.faceBoundingBox) {
+                fields.faceBoundingBox = JSON.stringify(faceData.faceBoundingBox);
+            }
+            if (faceData.landmarks) {
+                fields.landmarks = JSON.stringify(faceData.landmarks);
+            }
+
             // Create FormData for upload
             const formData = new FormData();
-            formData.append('image', blob, `smile_capture_${Date.now()}.jpg`);
+            formData.append('image', blob, `smile_capture_${sampledAt}.jpg`);
+            for (const [name, value] of Object.entries(fields)) {
+                formData.append(name, value);
+            }
 
-            // Send to backend for face detection and cropping
-            const response = await fetch('http://localhost:3001/capture-face', {
-                method: 'POST',
-                body: formData
-            });
+            // The session start is still in the offline queue: the capture goes after it
+            if (sessionId === this.offlineSessionId) {
+                await this.queueCapture(blob, fields, captureMode);
+                return [];
+            }
 
-            if (response.ok) {
-                const result = await response.json();
-                console.log('Face capture successful:', result);
-                
-                if (result.facesDetected > 0) {
-                    console.log(`Captured ${result.facesDetected} face(s) to /face_images/`);
-                    result.faceImages.forEach((face, index) => {
-                        console.log(`Face ${index + 1}: ${face.filename}`);
+            // Send to backend for face detection and cropping; a rate-limited upload is retried once,
+            // then queued like one the server couldn't take
+            for (let attempt = 1; attempt <= 2; attempt++) {
+                let response;
+                try {
+                    response = await fetch(`${this.serverUrl}/capture-face`, {
+                        method: 'POST',
+                        body: formData
                     });
+                } catch (error) {
+                    // Server unreachable
+                    console.error('Face capture upload failed:', error.message);
+                    await this.queueCapture(blob, fields, captureMode);
+                    return [];
+                }
+
+                if (response.ok) {
+                    const result = await response.json();
+                    console.log(`Face capture successful (rank ${selection.rank} of ${selection.candidates}, score ${selection.scores.total}):`, result);
                     
-                    // Return the captured face images for later opening
-                    return result.faceImages;
+                    if (result.facesDetected > 0) {
+                        result.faceImages.forEach((face, index) => {
+                            console.log(`Face ${index + 1}: ${face.filename}`);
+                        });
+                        
+                        // Return the captured face images for the reveal
+                        return result.faceImages;
+                    }
+                    return [];
                 }
-            } else {
-                console.error('Face capture failed:', response.status, response.statusText);
+
+                // Refusals come as { code, message }
+                const { code = `HTTP_${response.status}`, message = response.statusText } = await response.json().catch(() => ({}));
+                if (code === 'RATE_LIMITED' && attempt === 1) {
+                    const retryAfter = Math.min(Number(response.headers.get('Retry-After')) || 1, 5);
+                    console.warn(`Face capture rate limited; retrying in ${retryAfter}s`);
+                    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                    continue;
+                }
+                if (code === 'RATE_LIMITED' || response.status >= 500) {
+                    console.error(`Face capture failed (${response.status} ${code}): ${message}`);
+                    await this.queueCapture(blob, fields, captureMode);
+                } else if (['SESSION_NOT_FOUND', 'SESSION_CLOSED', 'NO_CONSENT', 'DUPLICATE_CAPTURE'].includes(code)) {
+                    // The run ended, storage isn't allowed or an all but identical frame is stored: nothing to keep, nothing to report
+                    console.log(`Face capture not kept (${code}): ${message}`);
+                } else {
+                    console.error(`Face capture refused (${response.status} ${code}): ${message}`);
+                }
+                return [];
             }
 
             return [];
@@ -3088,11 +3678,13 @@ class DigitalMirror {
             
             // Use estimateFaces with minimal options for faster detection
             // This works even when video is visually hidden as long as it's in DOM and has dimensions
+            const detectionStart = performance.now();
             const faces = await this.model.estimateFaces(this.webcam, {
                 flipHorizontal: false,
                 returnTensors: false,
                 refineLandmarks: false // Don't need landmarks for presence detection
             });
+            if (this.heartbeat) this.heartbeat.recordDetection(performance.now() - detectionStart);
             
             const faceFound = faces.length > 0;
             
@@ -3140,6 +3732,12 @@ class DigitalMirror {
     updateFacePresence() {
         // Update timestamp whenever a face is detected
         this.lastFaceDetectedTime = Date.now();
+        
+        // First face in front of the welcome screen since the last reset
+        if (!this.visitorGreeted && this.smileLevel === 0 && !this.sessionPromise) {
+            this.visitorGreeted = true;
+            this.recordEvent('welcome');
+        }
     }
     
     checkFacePresence() {
@@ -3154,6 +3752,12 @@ class DigitalMirror {
     restartExperienceDueToFaceAbsence() {
         console.log('[FACE ABSENCE] Restarting experience due to face absence...');
         
+        // Only a visitor who answered the consent prompt or started a session counts: the idle welcome
+        // screen waits on the consent prompt too, and times out every few seconds with nobody there
+        if (this.sessionPromise || this.consent !== null) {
+            this.recordEvent('face_absence_restart', { stage: this.currentStage() });
+        }
+        
         // Stop face presence monitoring temporarily
         this.stopFacePresenceMonitoring();
         
@@ -3200,6 +3804,9 @@ class DigitalMirror {
     cleanup() {
         this.stopListening();
         
+        // Page is going away - close the visitor's session
+        this.endSession(true);
+        
         // Stop local ASR (includes microphone tracks and AudioContext cleanup)
         this.stopLocalASR();
         
@@ -3217,6 +3824,10 @@ class DigitalMirror {
         // Stop face presence monitoring
         this.stopFacePresenceMonitoring();
         
+        if (this.heartbeat) {
+            this.heartbeat.stop();
+        }
+        
         if (this.audioContext) {
             this.audioContext.close();
         }
@@ -3228,6 +3839,16 @@ class DigitalMirror {
     }
 }
 
+// Random (v4) UUID for a new session; crypto.randomUUID() only exists on secure origins
+function createSessionId() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 // Initialize the Digital Mirror when the page loads
 document.addEventListener('DOMContentLoaded', () => {
     window.digitalMirror = new DigitalMirror();
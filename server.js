@@ -3,139 +3,618 @@ const multer = require('multer');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
+const { cropFace, normaliseLandmarks, normaliseBox } = require('./server/faceCrop');
+const { openDatabase } = require('./server/database');
+const { SessionStore } = require('./server/sessionStore');
+const { CaptureIndex } = require('./server/captureIndex');
+const { RetentionManager } = require('./server/retention');
+const { createAdminRouter } = require('./server/admin');
+const { AdminAuth, requireOrigin, allowOrigins } = require('./server/auth');
+const { sendSessionAnimation, clearAnimationCache } = require('./server/animation');
+const { ShareLinks, lanBaseUrl } = require('./server/shareLinks');
+const { createShareRouter } = require('./server/share');
+const { PrintQueue } = require('./server/printQueue');
+const { createReportsRouter } = require('./server/reports');
+const { TelemetryStore } = require('./server/telemetryStore');
+const { createTelemetryRouter } = require('./server/telemetry');
+const { EventLog, createEventsRouter } = require('./server/events');
+const { createAnalyticsRouter } = require('./server/analytics');
+const { ResearchExport, createExportRouter, loadExportKey } = require('./server/researchExport');
+const { runExportCli } = require('./server/exportCli');
+const { runAnalysisCli } = require('./server/analysisCli');
+const { writeAnalysisImage } = require('./server/analysisImage');
+const { resolveCaptureMode, imageForMode } = require('./server/captureMode');
+const { CaptureDedupe, perceptualHash } = require('./server/captureDedupe');
+const { CompositeJob, createCompositesRouter } = require('./server/composites');
+const { createBundleRouter } = require('./server/bundle');
+const { HealthChecks, createHealthRouter } = require('./server/health');
+const { Metrics, createMetricsRouter } = require('./server/metrics');
+const {
+    captureError,
+    validateImage,
+    RateLimiter,
+    takeOrThrow,
+    limitByIp,
+    singleImage,
+    sendCaptureError
+} = require('./server/uploadGuard');
+
+const { loadConfig, usage, redact, SETTINGS } = require('./server/config');
+
+// Settings: defaults -> mirror.config.json (or --config / CONFIG_FILE) -> environment -> command line.
+// `node server.js export|analysis ...` take only the file and environment; their flags are their own.
+const command = ['export', 'analysis'].includes(process.argv[2]) ? process.argv[2] : null;
+let config;
+try {
+    config = loadConfig({ argv: command ? [] : process.argv.slice(2) });
+} catch (error) {
+    console.error(`${error.message}\n\nRun \`node server.js --help\` for the available settings.`);
+    process.exit(2);
+}
+if (config.help) {
+    console.log(usage());
+    return;
+}
 
 const app = express();
-const PORT = 3001;
+const PORT = config.port;
+const FACE_DIR = config.paths.faceImages;
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const DB_PATH = config.paths.database;
+const TELEMETRY_DIR = config.paths.telemetry;
+const EXPORT_KEY_FILE = path.join(path.dirname(DB_PATH), 'export.key'); // Pseudonym key unless exportKey is set
+
+// `node server.js export --from … --to … --format csv|jsonl` writes the research tables instead of serving
+if (command === 'export') {
+    process.exitCode = runExportCli(process.argv.slice(3), {
+        dbPath: DB_PATH,
+        telemetryDir: TELEMETRY_DIR,
+        faceDir: FACE_DIR,
+        keyFile: EXPORT_KEY_FILE,
+        exportKey: config.exportKey,
+        exportsDir: config.paths.exports,
+        captureMode: config.capture.mode
+    });
+    return;
+}
+
+// `node server.js analysis [--force]` draws the missing (or, with --force, all) _analysis.jpg images
+if (command === 'analysis') {
+    runAnalysisCli(process.argv.slice(3), { dbPath: DB_PATH, faceDir: FACE_DIR })
+        .then(code => {
+            process.exitCode = code;
+        });
+    return;
+}
+
+// Capture retention limits (0 disables a limit)
+const RETENTION = config.retention;
+
+// Admin sign-in: admin.token for scripts (Bearer header), admin.password for the login form
+const auth = new AdminAuth(config.admin);
+const requireAdmin = auth.requireAdmin();
+
+// Pages allowed to upload captures besides the mirror page this server hosts
+const requireKioskOrigin = requireOrigin(config.kioskOrigins);
+// The same check with the { code, message } refusals of /capture-face
+const requireCaptureOrigin = requireOrigin(config.kioskOrigins, {
+    refuse: res => sendCaptureError(res, captureError(403, 'ORIGIN_NOT_ALLOWED', 'Origin not allowed'))
+});
+
+// Take-home links: lifetime, and the base URL phones on the venue Wi-Fi use (defaults to this machine's LAN address)
+const SHARE_BASE_URL = config.share.baseUrl || lanBaseUrl(PORT);
+const shareLinks = new ShareLinks({ ttlMinutes: config.share.linkMinutes });
+
+// Printed reports: printReports=false stops queueing them; unprinted jobs expire with the captures
+const PRINT_REPORTS = config.printReports;
+const printQueue = new PrintQueue({
+    spoolDir: config.paths.printSpool,
+    maxAgeHours: RETENTION.maxAgeHours
+});
+
+// Index of sessions, captures, outcomes and telemetry; face_images/ is reconciled into it on startup
+const db = openDatabase(DB_PATH);
+const sessions = new SessionStore(db, { captureMode: config.capture.mode });
+const captureIndex = new CaptureIndex({ db, faceDir: FACE_DIR, captureMode: config.capture.mode });
+const migrated = captureIndex.migrate();
+
+// Per-frame metrics from the kiosk, kept as long as captures are
+const telemetryStore = new TelemetryStore({
+    dir: TELEMETRY_DIR,
+    db,
+    maxAgeHours: RETENTION.maxAgeHours
+});
+const telemetryIndexed = telemetryStore.reindex();
+
+// Counters and timings for Prometheus (/metrics)
+const serverMetrics = new Metrics({ db });
+
+// Visitor funnel events (no personal data; a session's events go when the session is deleted)
+const eventLog = new EventLog({ db, onRecord: event => serverMetrics.observeEvent(event) });
+
+// Pseudonymised research tables (/export/*)
+const researchExport = new ResearchExport({
+    db,
+    telemetryStore,
+    faceDir: FACE_DIR,
+    key: loadExportKey(EXPORT_KEY_FILE, config.exportKey),
+    captureMode: config.capture.mode
+});
+
+// Periodic purge of old captures; purged files are dropped from their sessions too
+const retention = new RetentionManager({
+    faceDir: FACE_DIR,
+    auditLogPath: path.join(config.paths.logs, 'retention-audit.log'),
+    ...RETENTION,
+    onPurge: (purged, reason) => {
+        captureIndex.remove(purged.map(capture => capture.id));
+        if (purged.length > 0) clearAnimationCache();
+        // A report keeps the photo, so it goes once its session has no captures left
+        for (const job of printQueue.list()) {
+            const session = sessions.get(job.sessionId);
+            if (!session || session.captures.length === 0) printQueue.remove(job.id);
+        }
+        if (COMPOSITES_ENABLED) composites.forget(purged, reason);
+    }
+});
+
+// Daily "mirror memory": the average of the day's faces (/composites)
+const { enabled: COMPOSITES_ENABLED, ...compositeOptions } = config.composites;
+const composites = new CompositeJob({ captureIndex, faceDir: FACE_DIR, dir: config.paths.composites, ...compositeOptions });
+
+// Near-identical captures of one session are merged or refused
+const dedupe = new CaptureDedupe({ faceDir: FACE_DIR, captureIndex, retention, ...config.dedupe });
 
 // Middleware
+app.use(allowOrigins(config.kioskOrigins)); // CORS for a mirror page hosted elsewhere
 app.use(express.json());
-app.use(express.static('.'));
+app.use(express.static(PUBLIC_DIR)); // Mirror front end only
+
+// Where the kiosk page sends its requests (publicUrl; empty means the page's own origin)
+app.get('/client-config.js', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('application/javascript');
+    res.send(`window.MIRROR_SERVER_CONFIG = ${JSON.stringify({ serverUrl: config.publicUrl, captureMode: config.capture.mode })};\n`);
+});
 
 // Configure multer for handling file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ 
     storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+    limits: { fileSize: Math.round(config.upload.maxMegabytes * 1024 * 1024), files: 1 }
 });
 
-// Simple face detection using basic image processing
-// Since face-api.js doesn't work well in Node.js, we'll use a simpler approach
-let modelsLoaded = true; // Always true for our simple approach
+// Capture rate limits, per client IP (checked before the upload is read) and per session
+const limitCapturesByIp = limitByIp(new RateLimiter({ limit: config.upload.perIpPerMinute }));
+const sessionCaptureLimit = new RateLimiter({ limit: config.upload.perSessionPerMinute });
+const captureUpload = singleImage(upload, 'image', config.upload.maxMegabytes);
+
+// Parse an optional JSON-encoded multipart field; throws on malformed input
+function parseJsonField(body, name) {
+    if (!body || body[name] === undefined || body[name] === '') return null;
+    try {
+        return JSON.parse(body[name]);
+    } catch (error) {
+        throw captureError(400, 'INVALID_FIELD', `Field "${name}" is not valid JSON`);
+    }
+}
+
+// A kiosk time field (epoch ms) such as `capturedAt`, when the frame was taken: for a request from
+// its offline queue that can be well before it arrives. Returns null when the field is absent.
+const CLOCK_SKEW_MS = 60 * 1000;
+function parseKioskTime(body, name) {
+    if (!body || body[name] === undefined || body[name] === '') return null;
+    const time = Number(body[name]);
+    const now = Date.now();
+    if (!Number.isInteger(time) || time > now + CLOCK_SKEW_MS ||
+        time < now - config.upload.lateCaptureHours * 60 * 60 * 1000) {
+        throw captureError(400, 'INVALID_FIELD', `Field "${name}" must be epoch milliseconds within the last ${config.upload.lateCaptureHours} hours`);
+    }
+    return Math.min(time, now);
+}
+
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Start a visitor session (one per run of the experience)
+// Body: { consent: boolean, captureMode?, id?, startedAt? } - whether the visitor agreed to have
+// photos kept, and optionally a capture mode stricter than the installation's capture.mode. A kiosk
+// that couldn't reach the server picks the session's `id` (a UUID) itself and sends the start from
+// its offline queue with `startedAt` (epoch ms); a start whose id already exists answers with that session.
+app.post('/sessions', (req, res) => {
+    const body = req.body || {};
+    let captureMode;
+    let startedAt;
+    try {
+        captureMode = resolveCaptureMode(body.captureMode, config.capture.mode);
+        startedAt = parseKioskTime(body, 'startedAt');
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+    if (body.id !== undefined && (typeof body.id !== 'string' || !SESSION_ID.test(body.id))) {
+        return res.status(400).json({ error: 'Field "id" must be a UUID' });
+    }
+    const id = body.id && body.id.toLowerCase();
+    const existing = id && sessions.get(id);
+    if (existing) {
+        return res.json(sessions.toJSON(existing));
+    }
+
+    const session = sessions.create({
+        id,
+        startedAt: startedAt === null ? undefined : new Date(startedAt).toISOString(),
+        consent: body.consent === true,
+        captureMode
+    });
+    serverMetrics.visitors.inc({ stage: 'claim' });
+    console.log(`Session started: ${session.id} (${session.consent ? `consent given, ${captureMode}` : 'no storage'})`);
+    res.status(201).json(sessions.toJSON(session));
+});
+
+app.get('/sessions/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(sessions.toJSON(session));
+});
+
+// Close a session; further captures for it are refused
+app.post('/sessions/:id/close', (req, res) => {
+    const session = sessions.close(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    console.log(`Session closed: ${session.id} (${session.captures.length} capture(s))`);
+    res.json(sessions.toJSON(session));
+});
+
+// Captures belonging to one session, oldest first, with the metrics each was taken at
+app.get('/sessions/:id/images', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const images = captureIndex.forSession(session.id)
+        .filter(capture => capture.filename)
+        .map(capture => ({
+            filename: capture.filename,
+            url: `/sessions/${session.id}/images/${capture.filename}`,
+            capturedAt: capture.capturedAt,
+            metrics: capture.metrics
+        }));
+
+    res.json({ sessionId: session.id, images });
+});
+
+// One capture image, only if it belongs to the session (the session id acts as the key)
+app.get('/sessions/:id/images/:filename', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session || !session.captures.includes(req.params.filename)) {
+        return res.status(404).json({ error: 'Image not found' });
+    }
+    res.sendFile(req.params.filename, { root: FACE_DIR }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Image not found' });
+        }
+    });
+});
+
+// Animated smile progression of a session's captures: ?format=webp (default) or gif
+app.get('/sessions/:id/animation', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    sendSessionAnimation(req, res, FACE_DIR, session);
+});
+
+// Whole session as a ZIP (captures, landmarks, telemetry, scenario outcomes, animation, manifest)
+app.use(createBundleRouter({ faceDir: FACE_DIR, sessions, captureIndex, telemetryStore, requireAdmin }));
+
+// QR take-home links (/sessions/:id/share) and the page they open (/s/:token)
+app.use(createShareRouter({
+    faceDir: FACE_DIR,
+    sessions,
+    captureIndex,
+    shareLinks,
+    baseUrl: SHARE_BASE_URL,
+    requireKioskOrigin
+}));
+
+// End-of-run summaries, printable reports (/sessions/:id/report.pdf) and the print agent API (/print-queue)
+app.use(createReportsRouter({
+    faceDir: FACE_DIR,
+    sessions,
+    printQueue,
+    printReports: PRINT_REPORTS,
+    requireKioskOrigin,
+    requireAdmin
+}));
+
+// Batched per-frame metrics from the kiosk
+app.use(createTelemetryRouter({ sessions, telemetryStore, requireKioskOrigin }));
+
+// Funnel events from the kiosk, and the curator's analytics over them (/analytics, /analytics.csv)
+app.use(createEventsRouter({ sessions, eventLog, requireKioskOrigin }));
+app.use(createAnalyticsRouter({ db, requireAdmin }));
+
+// Research data export: /export/frames.csv, /export/scenarios.jsonl, /export/landmarks.csv ...
+app.use(createExportRouter({ researchExport, requireAdmin }));
+
+// Admin sign-in, curator gallery (/admin) and capture management (/captures)
+app.use(createAdminRouter({ faceDir: FACE_DIR, captureIndex, retention, auth }));
+
+// "Delete my data": remove every capture from a session right away
+app.delete('/sessions/:id/data', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const purged = retention.purgeSession(session.id);
+    shareLinks.revokeSession(session.id);
+    printQueue.removeSession(session.id);
+    telemetryStore.removeSession(session.id);
+    sessions.close(session.id);
+    sessions.delete(session.id);
+
+    res.json({
+        sessionId: session.id,
+        capturesDeleted: purged.length,
+        bytesDeleted: purged.reduce((sum, capture) => sum + capture.bytes, 0)
+    });
+});
+
+// Claim the first free face_<timestamp>_<index> name by creating its (empty) image file: the 'wx'
+// flag fails when it exists, so uploads with the same capturedAt handled side by side, as when the
+// kiosk's offline queue drains, can't both pick one name
+function reserveCaptureName(timestamp) {
+    for (let index = 0; ; index++) {
+        const baseName = `face_${timestamp}_${index}`;
+        try {
+            fs.closeSync(fs.openSync(path.join(FACE_DIR, `${baseName}.jpg`), 'wx'));
+            return baseName;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+}
 
 // Face capture endpoint
-app.post('/capture-face', upload.single('image'), async (req, res) => {
+// Expects the full webcam frame as `image` and the visitor's `sessionId`, plus JSON fields `faceBoundingBox`
+// (centre-based, in frame pixels), `landmarks` (MediaPipe mesh in frame pixels),
+// `metrics` (the metric snapshot at capture time) and `selection` (why the kiosk picked this frame),
+// and `capturedAt` (epoch ms). A closed session still takes a capture taken before it closed, so
+// the kiosk's offline queue can deliver after an outage. A near-duplicate of a capture stored moments
+// before is merged or refused (see server/captureDedupe.js); `duplicate` then says which one was kept.
+// Refusals are { code, message } (see server/uploadGuard.js).
+app.post('/capture-face', requireCaptureOrigin, serverMetrics.timeCaptures(), limitCapturesByIp, captureUpload, async (req, res) => {
+    let reservedImage = null;
     try {
         if (!req.file) {
-            return res.status(400).json({ error: 'No image provided' });
+            throw captureError(400, 'NO_IMAGE', 'No image provided');
+        }
+
+        serverMetrics.uploadBytes.observe(req.file.size);
+
+        const sessionId = req.body.sessionId;
+        if (!sessionId) {
+            throw captureError(400, 'NO_SESSION_ID', 'No sessionId provided');
         }
+        const session = sessions.get(sessionId);
+        if (!session) {
+            throw captureError(404, 'SESSION_NOT_FOUND', 'Session not found');
+        }
+        const capturedAt = parseKioskTime(req.body, 'capturedAt');
+        if (session.endedAt && (capturedAt === null || capturedAt > Date.parse(session.endedAt))) {
+            throw captureError(409, 'SESSION_CLOSED', 'Session is closed');
+        }
+        if (!session.consent) {
+            throw captureError(403, 'NO_CONSENT', 'No consent recorded for this session');
+        }
+        takeOrThrow(sessionCaptureLimit, session.id, 'session');
+
+        // A stricter capture.mode set since the session started applies to it too
+        const captureMode = resolveCaptureMode(session.captureMode, config.capture.mode);
 
-        const imageBuffer = req.file.buffer;
-        const faceDir = path.join(__dirname, 'face_images');
+        // Type and size from the file header, before sharp decodes anything
+        const image = validateImage(req.file.buffer, config.upload);
+
+        const faceBoundingBox = parseJsonField(req.body, 'faceBoundingBox');
+        const landmarks = parseJsonField(req.body, 'landmarks');
+        const metrics = parseJsonField(req.body, 'metrics');
+        const selection = parseJsonField(req.body, 'selection');
+        if (captureMode === 'landmarks-only' && !normaliseLandmarks(landmarks)) {
+            throw captureError(422, 'LANDMARKS_REQUIRED', 'This session stores landmarks only; the full landmark mesh is required');
+        }
 
         // Ensure directory exists
-        if (!fs.existsSync(faceDir)) {
-            fs.mkdirSync(faceDir, { recursive: true });
+        if (!fs.existsSync(FACE_DIR)) {
+            fs.mkdirSync(FACE_DIR, { recursive: true });
+        }
+
+        const timestamp = capturedAt === null ? Date.now() : capturedAt;
+        const baseName = reserveCaptureName(timestamp);
+        const filename = `${baseName}.jpg`;
+        reservedImage = path.join(FACE_DIR, filename);
+
+        // Crop to the face and level the eye line
+        const stopProcessing = serverMetrics.processingDuration.startTimer();
+        let cropped;
+        try {
+            cropped = await cropFace(req.file.buffer, {
+                landmarks,
+                faceBoundingBox,
+                outputSize: config.capture.outputSize,
+                jpegQuality: config.capture.jpegQuality,
+                limitInputPixels: Math.round(config.upload.maxMegapixels * 1e6)
+            });
+        } catch (error) {
+            // The header was fine but the image data isn't (truncated or corrupt)
+            console.warn(`Capture for session ${session.id} could not be decoded (${image.type} ${image.width}x${image.height}):`, error.message);
+            throw captureError(422, 'INVALID_IMAGE', 'The image could not be decoded');
         }
+        // Only what the capture mode allows reaches the disk
+        const storedImage = await imageForMode(cropped, captureMode, { jpegQuality: config.capture.jpegQuality });
+        const hash = await perceptualHash(storedImage);
+        stopProcessing();
+
+        // A near-identical capture of this session is already stored: keep one of the two
+        const duplicate = dedupe.find(session.id, timestamp, hash);
+        if (duplicate && !dedupe.replaces(duplicate, metrics)) {
+            // Nothing is stored, so nothing is superseded: the upload is dropped
+            const kept = duplicate.capture.id;
+            if (dedupe.action === 'reject') {
+                res.locals.captureResult = 'duplicate_rejected';
+                serverMetrics.duplicates.inc({ resolution: 'rejected' });
+                console.log(`Duplicate capture refused: ${baseName} is ${duplicate.distance} bit(s) from ${kept} (session ${session.id})`);
+                throw captureError(409, 'DUPLICATE_CAPTURE', `Near-identical to ${kept}`);
+            }
+            res.locals.captureResult = 'duplicate';
+            serverMetrics.duplicates.inc({ resolution: 'kept_existing' });
+            console.log(`Duplicate capture dropped: ${kept} kept over ${baseName} (${duplicate.distance} bit(s), session ${session.id})`);
+            return res.json({
+                success: true,
+                facesDetected: 1,
+                faceImages: [],
+                duplicate: { kept, distance: duplicate.distance }
+            });
+        }
+
+        fs.writeFileSync(reservedImage, storedImage);
+        reservedImage = null;
+
+        // Landmarks as measured on the kiosk, plus the same points in the cropped image
+        const landmarksFilename = `${baseName}_landmarks.json`;
+        const landmarksData = {
+            frame: cropped.alignment.frame,
+            faceBoundingBox: normaliseBox(faceBoundingBox),
+            source: normaliseLandmarks(landmarks),
+            aligned: cropped.landmarks
+        };
+        fs.writeFileSync(path.join(FACE_DIR, landmarksFilename), JSON.stringify(landmarksData));
 
-        // For now, we'll save the entire image as a "face" since the frontend
-        // already has face detection. This is a simpler approach that works reliably.
-        const timestamp = Date.now();
-        const filename = `face_${timestamp}_0.jpg`;
-        const filepath = path.join(faceDir, filename);
-
-        // Process and save the image
-        const processedImage = await sharp(imageBuffer)
-            .resize(300, 300, { fit: 'cover' })
-            .jpeg({ quality: 90 })
-            .toBuffer();
-
-        fs.writeFileSync(filepath, processedImage);
-
-        // Create basic landmarks data (simplified)
-        const landmarksData = [
-            { x: 100, y: 100 }, // Left eye
-            { x: 200, y: 100 }, // Right eye
-            { x: 150, y: 150 }, // Nose
-            { x: 120, y: 200 }, // Left mouth corner
-            { x: 180, y: 200 }  // Right mouth corner
-        ];
-
-        const landmarksFilename = `face_${timestamp}_0_landmarks.json`;
-        const landmarksFilepath = path.join(faceDir, landmarksFilename);
-        fs.writeFileSync(landmarksFilepath, JSON.stringify(landmarksData, null, 2));
+        // Metric snapshot, frame-selection scores and alignment details
+        const metaFilename = `${baseName}_meta.json`;
+        const metaData = {
+            filename,
+            sessionId: session.id,
+            capturedAt: new Date(timestamp).toISOString(),
+            captureMode,
+            alignment: cropped.alignment,
+            metrics: metrics && typeof metrics === 'object' ? metrics : null,
+            selection: selection && typeof selection === 'object' ? selection : null,
+            perceptualHash: hash,
+            supersedes: duplicate ? dedupe.supersedesFor(duplicate) : []
+        };
+        fs.writeFileSync(path.join(FACE_DIR, metaFilename), JSON.stringify(metaData, null, 2));
+
+        // Annotated copy for the documentation archive; the capture stands without it
+        let analysisFilename = null;
+        if (config.capture.analysisImages) {
+            try {
+                analysisFilename = await writeAnalysisImage(FACE_DIR, baseName);
+            } catch (error) {
+                console.warn(`Analysis image for ${filename} skipped:`, error.message);
+            }
+        }
+
+        captureIndex.add(baseName, [filename, landmarksFilename, metaFilename, ...(analysisFilename ? [analysisFilename] : [])], metaData);
+        if (duplicate) {
+            dedupe.retire(duplicate, baseName);
+            serverMetrics.duplicates.inc({ resolution: 'replaced_existing' });
+            console.log(`Duplicate capture merged: ${baseName} replaced ${duplicate.capture.id} (${duplicate.distance} bit(s), higher smiling score)`);
+        }
 
         const faceImages = [{
             filename: filename,
             landmarksFile: landmarksFilename,
-            box: {
-                x: 0,
-                y: 0,
-                width: 300,
-                height: 300
-            },
-            expressions: {
-                neutral: 0.8,
-                happy: 0.2
-            }
+            metaFile: metaFilename,
+            analysisFile: analysisFilename,
+            captureMode,
+            alignment: cropped.alignment,
+            metrics: metaData.metrics,
+            selection: metaData.selection,
+            supersedes: metaData.supersedes
         }];
 
-        console.log(`Face captured and saved: ${filename}`);
+        console.log(`Face captured and saved: ${filename} (session ${session.id}, ${captureMode}, ${cropped.alignment.method}, ${cropped.alignment.angle}°)`);
 
         res.json({
             success: true,
             facesDetected: 1,
-            faceImages: faceImages
+            faceImages: faceImages,
+            ...(duplicate ? { duplicate: { kept: baseName, superseded: duplicate.capture.id, distance: duplicate.distance } } : {})
         });
 
     } catch (error) {
-        console.error('Error processing face capture:', error);
-        res.status(500).json({ error: 'Failed to process face capture' });
+        sendCaptureError(res, error);
+    } finally {
+        // Nothing was stored under the reserved name
+        if (reservedImage) fs.rmSync(reservedImage, { force: true });
     }
 });
 
-// Serve face images
-app.use('/images', express.static(path.join(__dirname, 'face_images')));
+// Serve face images (admin only; visitors use /sessions/:id/images/:filename), except those of
+// captures kept in a laxer mode than capture.mode
+app.use('/images', requireAdmin, (req, res, next) => {
+    const capture = /^\/(face_\d+_\d+)/.exec(req.path);
+    if (capture && !captureIndex.isVisible(capture[1])) {
+        return res.status(404).json({ error: 'Image not found' });
+    }
+    next();
+}, express.static(FACE_DIR));
 
 // Get latest captured images
-app.get('/get-latest-images', (req, res) => {
+app.get('/get-latest-images', requireAdmin, (req, res) => {
     try {
-        const faceDir = path.join(__dirname, 'face_images');
-        
-        if (!fs.existsSync(faceDir)) {
-            return res.json({ images: [] });
-        }
-
-        // Get all image files (not landmarks)
-        const files = fs.readdirSync(faceDir)
-            .filter(file => file.endsWith('.jpg') || file.endsWith('.jpeg') || file.endsWith('.png'))
-            .sort((a, b) => {
-                // Sort by modification time, newest first
-                const statA = fs.statSync(path.join(faceDir, a));
-                const statB = fs.statSync(path.join(faceDir, b));
-                return statB.mtime - statA.mtime;
-            })
-            .slice(0, 10); // Get latest 10 images
-
-        res.json({ images: files });
+        res.json({ images: captureIndex.latest(10) });
     } catch (error) {
         console.error('Error getting latest images:', error);
         res.status(500).json({ error: 'Failed to get latest images' });
     }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        modelsLoaded: modelsLoaded,
-        timestamp: new Date().toISOString()
-    });
+// Health: /health (summary), /health/live, /health/ready, and the kiosk's POST /heartbeat.
+// Face detection runs in the browser (MediaPipe), so the model state comes from the heartbeat.
+const healthChecks = new HealthChecks({
+    db,
+    faceDir: FACE_DIR,
+    ...config.health,
+    onHeartbeat: heartbeat => serverMetrics.observeHeartbeat(heartbeat)
 });
+app.use(createHealthRouter({ healthChecks, retention, telemetryStore, requireKioskOrigin }));
+
+// Prometheus scrape target
+app.use(createMetricsRouter({ metrics: serverMetrics }));
+
+// Average-face composites, shown on the kiosk's welcome screen
+app.use(createCompositesRouter({ composites }));
 
 // Start server
 app.listen(PORT, () => {
     console.log(`Face capture server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
+    if (config.configFile) console.log(`Config file: ${config.configFile}`);
+    // Settings not at their default and where they came from, secrets blanked
+    const shown = redact(config);
+    const changed = SETTINGS.filter(setting => config.sources[setting.key] !== 'default').map(setting =>
+        `${setting.key}=${JSON.stringify(setting.key.split('.').reduce((node, part) => node[part], shown))} (${config.sources[setting.key]})`);
+    if (changed.length > 0) console.log(`Settings: ${changed.join(', ')}`);
+    console.log(`Health check: http://localhost:${PORT}/health (readiness: /health/ready)`);
+    console.log(`Prometheus metrics: http://localhost:${PORT}/metrics`);
+    console.log(`Indexed ${migrated.captures} capture(s) from face_images/ (${migrated.added} new, ${migrated.removed} gone, ${migrated.sessionsRestored} session(s) restored)`);
+    console.log(`Indexed telemetry for ${telemetryIndexed} session(s)`);
+    console.log(`Curator gallery: http://localhost:${PORT}/admin/`);
+    console.log(`Analytics dashboard: http://localhost:${PORT}/admin/analytics`);
+    console.log(`Take-home links: ${SHARE_BASE_URL}/s/...`);
+    console.log(PRINT_REPORTS ? `Print queue: ${printQueue.spoolDir}` : 'Printed reports disabled');
+    console.log(COMPOSITES_ENABLED ? `Mirror memory composites: http://localhost:${PORT}/composites` : 'Composites disabled');
+    if (auth.generated) {
+        console.log(`No ADMIN_TOKEN or ADMIN_PASSWORD set; admin token for this run: ${auth.token}`);
+    }
+    retention.start();
+    if (COMPOSITES_ENABLED) composites.start();
 });
 
 module.exports = app;
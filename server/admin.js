@@ -0,0 +1,61 @@
+// Admin - Curator gallery and analytics pages, and the capture-management API behind them
+
+const express = require('express');
+const path = require('path');
+
+const { listCaptures } = require('./captures');
+
+const ADMIN_PAGE_DIR = path.join(__dirname, '..', 'admin');
+const MAX_BULK_DELETE = 500;
+
+// Files the login page needs before anyone has signed in
+const PUBLIC_ADMIN_FILES = new Set(['/login.html', '/admin.css']);
+
+function createAdminRouter({ faceDir, captureIndex, retention, auth }) {
+    const router = express.Router();
+    const requireAdmin = auth.requireAdmin();
+
+    router.use(auth.router());
+
+    // Gallery page (static HTML/JS/CSS)
+    router.use('/admin',
+        (req, res, next) => PUBLIC_ADMIN_FILES.has(req.path) ? next() : requireAdmin(req, res, next),
+        express.static(ADMIN_PAGE_DIR, { extensions: ['html'] })); // /admin/analytics -> analytics.html
+
+    router.use('/captures', requireAdmin);
+
+    // Paginated capture listing: ?from=&to=&session=&limit=&cursor=
+    router.get('/captures', (req, res) => {
+        try {
+            res.json(captureIndex.query(req.query));
+        } catch (error) {
+            if (error.status === 400) {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('Error listing captures:', error);
+            res.status(500).json({ error: 'Failed to list captures' });
+        }
+    });
+
+    // Bulk delete: { ids: ['face_<timestamp>_0', ...] }
+    router.post('/captures/delete', (req, res) => {
+        const ids = req.body && req.body.ids;
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_DELETE ||
+            !ids.every(id => typeof id === 'string')) {
+            return res.status(400).json({ error: `ids must be a non-empty array of at most ${MAX_BULK_DELETE} capture ids` });
+        }
+
+        const wanted = new Set(ids);
+        const captures = listCaptures(faceDir).filter(capture => wanted.has(capture.id));
+        const purged = retention.purge(captures, 'curator-delete');
+
+        res.json({
+            deleted: purged.map(capture => capture.id),
+            notFound: ids.filter(id => !purged.some(capture => capture.id === id))
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,66 @@
+// Analysis CLI - `node server.js analysis`: draw the _analysis.jpg of stored captures
+//
+// Only captures without one are drawn, unless --force redraws them all (after a style change
+// in analysisImage.js). The capture index is brought up to date afterwards, so the new files
+// show up in listings and bundles and are purged with their capture.
+
+const { openDatabase } = require('./database');
+const { CaptureIndex } = require('./captureIndex');
+const { listCaptures } = require('./captures');
+const { writeAnalysisImage } = require('./analysisImage');
+
+const USAGE = `Usage: node server.js analysis [options]
+
+  --force             Redraw every capture's analysis image, not only the missing ones
+  --help              Show this help`;
+
+function parseArgs(args) {
+    const options = { force: false, help: false };
+    for (const arg of args) {
+        const match = /^--(force|help)$/.exec(arg);
+        if (!match) throw new Error(`Unexpected argument: ${arg}`);
+        options[match[1]] = true;
+    }
+    return options;
+}
+
+// Resolves to the process exit code
+async function runAnalysisCli(args, { dbPath, faceDir }) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let drawn = 0;
+    let failed = 0;
+    const captures = listCaptures(faceDir).filter(capture => capture.files.includes(`${capture.id}.jpg`) &&
+        (options.force || !capture.files.includes(`${capture.id}_analysis.jpg`)));
+    console.log(`Drawing ${captures.length} analysis image(s) in ${faceDir}`);
+    for (const capture of captures) {
+        try {
+            await writeAnalysisImage(faceDir, capture.id);
+            drawn++;
+        } catch (error) {
+            console.error(`  ${capture.id}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    const db = openDatabase(dbPath);
+    try {
+        new CaptureIndex({ db, faceDir }).migrate();
+    } finally {
+        db.close();
+    }
+    console.log(`  ${drawn} drawn${failed ? `, ${failed} failed` : ''}`);
+    return failed ? 1 : 0;
+}
+
+module.exports = { runAnalysisCli };
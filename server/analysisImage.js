@@ -0,0 +1,198 @@
+// Analysis Image - The capture annotated the way the kiosk sees it, for the documentation archive
+//
+// Drawn from the stored files only: the cropped image, the `aligned` points of `_landmarks.json`
+// and the metric snapshot of `_meta.json`. It shows the face mesh, the lines the smile metrics
+// measure (nose height to each mouth corner for calculateMouthSmile, cheek to outer eye corner for
+// calculateCheekSquint, eye width for calculateEyeSmile) and the score bars of
+// UIRenderer.drawMetricBars. Change the style here and run `node server.js analysis --force` to
+// redraw every capture.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const { describePhase } = require('./animation');
+
+const SIZE = 600;          // The crop is scaled up to this so lines and dots stay legible
+const PANEL_HEIGHT = 300;  // Score bars below the photo
+const MARGIN = 40;
+const JPEG_QUALITY = 88;
+
+// MediaPipe Face Mesh indices, as in CONFIG.LANDMARKS and calculateMetrics()
+const NOSE = 1;
+const MOUTH = [61, 291];
+const LIPS = [13, 14];
+const EYE_OUTER = [33, 263];
+const EYE_INNER = [133, 362];
+const CHEEK = [116, 345];
+
+// Scoring and colours of the kiosk overlay (CONFIG.SCORING / CONFIG.UI in public/js/config.js)
+const MAX_SCORE = 65;
+const PASSING_THRESHOLD = 80;
+const COLORS = {
+    mouthLine: '#FF9F0A',
+    cheekLine: '#FF2D55',
+    eyeLine: '#5AC8FA',
+    scoreLow: '#FF375F',
+    scoreMid: '#FF9F0A',
+    scoreHigh: '#30D158'
+};
+const BARS = [
+    { key: 'muscleActivation', label: 'Muscle Activation', color: '#007AFF' },
+    { key: 'facialSymmetry', label: 'Facial Symmetry', color: '#5856D6' },
+    { key: 'joyDetection', label: 'Joy Detection', color: '#FF2D55' }
+];
+const LEGEND = [
+    { label: 'Mouth corner to nose height', color: COLORS.mouthLine },
+    { label: 'Cheek to eye corner', color: COLORS.cheekLine },
+    { label: 'Eye width', color: COLORS.eyeLine }
+];
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[c]));
+}
+
+function value(metrics, key) {
+    const number = metrics ? metrics[key] : null;
+    return typeof number === 'number' && Number.isFinite(number) ? Math.max(0, Math.min(100, number)) : null;
+}
+
+function line(a, b, color, extra = '') {
+    return `<line x1="${a[0].toFixed(1)}" y1="${a[1].toFixed(1)}" x2="${b[0].toFixed(1)}" y2="${b[1].toFixed(1)}" stroke="${color}" stroke-width="3" stroke-linecap="round" ${extra}/>`;
+}
+
+function dot(point, radius, fill) {
+    return `<circle cx="${point[0].toFixed(1)}" cy="${point[1].toFixed(1)}" r="${radius}" fill="${fill}"/>`;
+}
+
+// Mesh, measurement lines and key points over the photo; `points` are already in SIZE pixels
+function landmarkLayer(points) {
+    const mesh = points.map(point => dot(point, 1.3, 'rgba(255, 255, 255, 0.45)')).join('');
+
+    // calculateMouthSmile: how far each mouth corner sits below the nose
+    const nose = points[NOSE];
+    const xs = MOUTH.map(index => points[index][0]);
+    const mouthLines = [
+        line([Math.min(...xs) - 20, nose[1]], [Math.max(...xs) + 20, nose[1]], COLORS.mouthLine, 'stroke-dasharray="8 6" stroke-opacity="0.8"'),
+        ...MOUTH.map(index => line(points[index], [points[index][0], nose[1]], COLORS.mouthLine))
+    ];
+    // calculateCheekSquint and calculateEyeSmile
+    const cheekLines = CHEEK.map((index, side) => line(points[index], points[EYE_OUTER[side]], COLORS.cheekLine));
+    const eyeLines = EYE_INNER.map((index, side) => line(points[index], points[EYE_OUTER[side]], COLORS.eyeLine));
+
+    // drawKeyLandmarks: a soft glow with a solid centre
+    const keyPoints = [NOSE, ...MOUTH, ...LIPS, ...EYE_OUTER, ...EYE_INNER, ...CHEEK]
+        .map(index => dot(points[index], 6, 'rgba(0, 122, 255, 0.3)') + dot(points[index], 3, 'rgba(0, 122, 255, 0.9)'))
+        .join('');
+
+    return `${mesh}${mouthLines.join('')}${cheekLines.join('')}${eyeLines.join('')}${keyPoints}`;
+}
+
+function scoreColor(score) {
+    if (score >= PASSING_THRESHOLD) return COLORS.scoreHigh;
+    if (score >= 60) return COLORS.scoreMid;
+    return COLORS.scoreLow;
+}
+
+// Smiling score with its PASS line, then the three metric bars (UIRenderer.drawMetricBars)
+function barsLayer(metrics) {
+    const top = SIZE;
+    const width = SIZE - MARGIN * 2;
+    const parts = [`<rect x="0" y="${top}" width="${SIZE}" height="${PANEL_HEIGHT}" fill="#000"/>`];
+
+    const score = value(metrics, 'smilingScore');
+    const overall = score === null ? null : Math.min(MAX_SCORE, score);
+    const overallY = top + 44;
+    const overallHeight = 20;
+    const thresholdX = MARGIN + width * PASSING_THRESHOLD / 100;
+    parts.push(
+        `<text x="${SIZE / 2}" y="${overallY - 14}" font-size="18" font-weight="700" fill="rgba(255, 255, 255, 0.95)" text-anchor="middle">SMILING SCORE</text>`,
+        `<rect x="${MARGIN}" y="${overallY}" width="${width}" height="${overallHeight}" rx="${overallHeight / 2}" fill="rgba(255, 255, 255, 0.4)" stroke="rgba(255, 255, 255, 0.5)"/>`
+    );
+    if (overall !== null) {
+        parts.push(
+            `<rect x="${MARGIN}" y="${overallY}" width="${(width * overall / 100).toFixed(1)}" height="${overallHeight}" rx="${overallHeight / 2}" fill="${scoreColor(overall)}" filter="url(#glow)"/>`,
+            `<text x="${SIZE / 2}" y="${overallY + overallHeight + 22}" font-size="16" font-weight="700" fill="rgba(255, 255, 255, 0.95)" text-anchor="middle">${Math.round(overall)}%</text>`
+        );
+    }
+    parts.push(
+        line([thresholdX, overallY - 8], [thresholdX, overallY + overallHeight + 8], 'rgba(255, 255, 255, 0.85)', 'stroke-dasharray="6 6"'),
+        `<text x="${thresholdX + 8}" y="${overallY + overallHeight + 22}" font-size="12" font-weight="700" fill="rgba(255, 255, 255, 0.95)">PASS</text>`
+    );
+
+    const barWidth = width - 70;
+    BARS.forEach((bar, index) => {
+        const y = top + 130 + index * 48;
+        const percent = value(metrics, bar.key);
+        parts.push(
+            `<text x="${MARGIN}" y="${y - 10}" font-size="16" font-weight="700" fill="#fff">${escapeXml(bar.label)}</text>`,
+            `<rect x="${MARGIN}" y="${y}" width="${barWidth}" height="14" rx="7" fill="rgba(255, 255, 255, 0.3)" stroke="rgba(255, 255, 255, 0.5)" stroke-width="2"/>`
+        );
+        if (percent !== null) {
+            parts.push(
+                `<rect x="${MARGIN}" y="${y}" width="${(barWidth * percent / 100).toFixed(1)}" height="14" rx="7" fill="${bar.color}" filter="url(#glow)"/>`,
+                `<text x="${SIZE - MARGIN}" y="${y + 13}" font-size="18" font-weight="700" fill="#fff" text-anchor="end">${Math.round(percent)}%</text>`
+            );
+        }
+    });
+
+    // Legend entries spaced by their (approximate) text width
+    const legendY = top + PANEL_HEIGHT - 20;
+    let x = MARGIN;
+    for (const entry of LEGEND) {
+        parts.push(
+            line([x, legendY - 4], [x + 18, legendY - 4], entry.color),
+            `<text x="${x + 26}" y="${legendY}" font-size="11" fill="#86868b">${escapeXml(entry.label)}</text>`
+        );
+        x += 26 + entry.label.length * 6.5 + 24;
+    }
+
+    return parts.join('');
+}
+
+// JPEG of the annotated capture. `landmarks` is the parsed _landmarks.json, `meta` the parsed
+// _meta.json (either may be null: the photo is then drawn without the mesh or the bars).
+async function renderAnalysisImage(imageBuffer, { landmarks = null, meta = null } = {}) {
+    const photo = await sharp(imageBuffer).resize(SIZE, SIZE, { fit: 'cover' }).toBuffer();
+
+    // Aligned points are in pixels of the stored crop
+    const cropSize = meta && meta.alignment && meta.alignment.outputSize;
+    const scale = SIZE / (cropSize || (await sharp(imageBuffer).metadata()).width);
+    const points = landmarks && Array.isArray(landmarks.aligned) ? landmarks.aligned.map(([x, y]) => [x * scale, y * scale]) : null;
+
+    const metrics = meta && meta.metrics;
+    const caption = metrics ? describePhase(metrics) : 'Capture';
+    const svg = Buffer.from(`
+        <svg width="${SIZE}" height="${SIZE + PANEL_HEIGHT}" xmlns="http://www.w3.org/2000/svg" font-family="sans-serif">
+            <defs><filter id="glow" x="-20%" y="-100%" width="140%" height="300%"><feGaussianBlur in="SourceGraphic" stdDeviation="3" result="blur"/><feMerge><feMergeNode in="blur"/><feMergeNode in="SourceGraphic"/></feMerge></filter></defs>
+            ${points ? landmarkLayer(points) : ''}
+            <text x="16" y="32" font-size="18" font-weight="700" fill="#fff" stroke="rgba(0, 0, 0, 0.6)" stroke-width="3" paint-order="stroke">${escapeXml(caption)}</text>
+            ${barsLayer(metrics)}
+        </svg>`);
+
+    return sharp({ create: { width: SIZE, height: SIZE + PANEL_HEIGHT, channels: 3, background: '#000' } })
+        .composite([{ input: photo, top: 0, left: 0 }, { input: svg, top: 0, left: 0 }])
+        .jpeg({ quality: JPEG_QUALITY })
+        .toBuffer();
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Draw `<id>_analysis.jpg` for a capture from its files in faceDir; resolves to its filename
+async function writeAnalysisImage(faceDir, id) {
+    const filename = `${id}_analysis.jpg`;
+    const image = await renderAnalysisImage(fs.readFileSync(path.join(faceDir, `${id}.jpg`)), {
+        landmarks: readJson(path.join(faceDir, `${id}_landmarks.json`)),
+        meta: readJson(path.join(faceDir, `${id}_meta.json`))
+    });
+    fs.writeFileSync(path.join(faceDir, filename), image);
+    return filename;
+}
+
+module.exports = { renderAnalysisImage, writeAnalysisImage };
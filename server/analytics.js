@@ -0,0 +1,242 @@
+// Analytics - Exhibition statistics for the curator dashboard (/admin/analytics)
+//
+// Everything is computed from the database: funnel events, sessions and scenario results.
+// Session-based views count the sessions started in the range; event-based views count the
+// events that happened in it. The range defaults to the last seven days.
+
+const express = require('express');
+
+const { parseTime } = require('./captureIndex');
+const { csvLine } = require('./csv');
+const { fromJson } = require('./database');
+const { STAGES } = require('./events');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_RANGE_MS = 7 * 24 * HOUR_MS;
+const MAX_RANGE_MS = 366 * 24 * HOUR_MS;
+
+const VIEWS = ['visits', 'funnel', 'restarts', 'smile', 'genuine'];
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseRange({ from, to } = {}) {
+    const fromTime = parseTime(from);
+    const toTime = parseTime(to);
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        throw badRequest('from/to must be ISO dates or epoch milliseconds');
+    }
+
+    const end = toTime === null ? Date.now() : toTime;
+    const start = fromTime === null ? end - DEFAULT_RANGE_MS : fromTime;
+    if (start > end) throw badRequest('from must be before to');
+    if (end - start > MAX_RANGE_MS) throw badRequest('The range can be at most 366 days');
+
+    return { from: start, to: end, fromIso: new Date(start).toISOString(), toIso: new Date(end).toISOString() };
+}
+
+function round(value, digits = 1) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? round(part / whole, 3) : null;
+}
+
+class Analytics {
+    constructor({ db }) {
+        this.statements = {
+            welcomesPerHour: db.prepare(`SELECT (at / ${HOUR_MS}) * ${HOUR_MS} AS hour, COUNT(*) AS count
+                FROM events WHERE kind = 'welcome' AND at BETWEEN @from AND @to GROUP BY hour`),
+            claimsPerHour: db.prepare(`SELECT (CAST(strftime('%s', started_at) AS INTEGER) / 3600) * ${HOUR_MS} AS hour,
+                COUNT(*) AS count FROM sessions WHERE started_at BETWEEN @fromIso AND @toIso GROUP BY hour`),
+            welcomes: db.prepare(`SELECT COUNT(*) AS count FROM events
+                WHERE kind = 'welcome' AND at BETWEEN @from AND @to`),
+            claims: db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE started_at BETWEEN @fromIso AND @toIso'),
+            sessionsWithEvent: db.prepare(`SELECT COUNT(DISTINCT e.session_id) AS count
+                FROM events e JOIN sessions s ON s.id = e.session_id
+                WHERE e.kind = @kind AND s.started_at BETWEEN @fromIso AND @toIso`),
+            attempts: db.prepare(`SELECT json_extract(e.detail, '$.level') AS level, COUNT(DISTINCT e.session_id) AS count
+                FROM events e JOIN sessions s ON s.id = e.session_id
+                WHERE e.kind = 'attempt' AND s.started_at BETWEEN @fromIso AND @toIso GROUP BY level`),
+            scenarioStarts: db.prepare(`SELECT json_extract(e.detail, '$.position') AS position,
+                COUNT(DISTINCT e.session_id) AS count, group_concat(DISTINCT json_extract(e.detail, '$.scenarioId')) AS scenarioIds
+                FROM events e JOIN sessions s ON s.id = e.session_id
+                WHERE e.kind = 'scenario_start' AND s.started_at BETWEEN @fromIso AND @toIso
+                GROUP BY position ORDER BY position`),
+            restarts: db.prepare(`SELECT json_extract(detail, '$.stage') AS stage, COUNT(*) AS count
+                FROM events WHERE kind = 'face_absence_restart' AND at BETWEEN @from AND @to GROUP BY stage`),
+            smile: db.prepare(`SELECT r.scenario_id AS scenarioId, COUNT(*) AS runs, AVG(r.smiling_score) AS smilingScore,
+                AVG(r.facial_symmetry) AS facialSymmetry, AVG(r.joy_detection) AS joyDetection
+                FROM scenario_results r JOIN sessions s ON s.id = r.session_id
+                WHERE s.started_at BETWEEN @fromIso AND @toIso AND r.scenario_id IS NOT NULL
+                GROUP BY r.scenario_id ORDER BY MIN(r.position), r.scenario_id`),
+            genuine: db.prepare(`SELECT r.scenario_id AS scenarioId, r.threshold_tier AS tier, COUNT(*) AS judged,
+                SUM(r.outcome = 'genuine') AS genuine, SUM(r.outcome = 'polite') AS polite, SUM(r.outcome = 'no_smile') AS noSmile
+                FROM scenario_results r JOIN sessions s ON s.id = r.session_id
+                WHERE s.started_at BETWEEN @fromIso AND @toIso AND r.outcome IS NOT NULL
+                GROUP BY r.scenario_id, r.threshold_tier ORDER BY MIN(r.position), r.scenario_id, r.threshold_tier`),
+            // The thresholds each tier was last judged against
+            thresholds: db.prepare(`SELECT threshold_tier AS tier, thresholds FROM scenario_results
+                WHERE rowid IN (SELECT MAX(rowid) FROM scenario_results WHERE thresholds IS NOT NULL GROUP BY threshold_tier)`)
+        };
+    }
+
+    // All views for ?from=&to=; throws a 400-status error for a bad range
+    report(query) {
+        const range = parseRange(query);
+        return {
+            from: range.fromIso,
+            to: range.toIso,
+            visits: this.visits(range),
+            funnel: this.funnel(range),
+            restarts: this.restarts(range),
+            smile: this.smile(range),
+            genuine: this.genuine(range)
+        };
+    }
+
+    // Faces seen at the welcome screen and claims started, per hour (every hour of the range)
+    visits(range) {
+        const welcomes = new Map(this.statements.welcomesPerHour.all(range).map(row => [row.hour, row.count]));
+        const claims = new Map(this.statements.claimsPerHour.all(range).map(row => [row.hour, row.count]));
+        const rows = [];
+        for (let hour = Math.floor(range.from / HOUR_MS) * HOUR_MS; hour <= range.to; hour += HOUR_MS) {
+            rows.push({
+                hour: new Date(hour).toISOString(),
+                welcomes: welcomes.get(hour) || 0,
+                claims: claims.get(hour) || 0
+            });
+        }
+        return rows;
+    }
+
+    // Visitors reaching each stage, with the share lost since the previous stage
+    funnel(range) {
+        const attempts = new Map(this.statements.attempts.all(range).map(row => [row.level, row.count]));
+        const stages = [
+            { stage: 'welcome', label: 'Face at welcome screen', visitors: this.statements.welcomes.get(range).count },
+            { stage: 'claim', label: 'Claimed "I am human"', visitors: this.statements.claims.get(range).count },
+            { stage: 'attempt_1', label: 'Smile attempt 1', visitors: attempts.get(1) || 0 },
+            { stage: 'attempt_2', label: 'Smile attempt 2', visitors: attempts.get(2) || 0 },
+            ...this.statements.scenarioStarts.all(range).map(row => ({
+                stage: `scenario_${row.position + 1}`,
+                label: `Scenario ${row.position + 1} (${row.scenarioIds.split(',').join(', ')})`,
+                visitors: row.count
+            })),
+            {
+                stage: 'ending',
+                label: 'Reached an ending',
+                visitors: this.statements.sessionsWithEvent.get({ ...range, kind: 'ending' }).count
+            }
+        ];
+
+        const first = stages[0].visitors;
+        return stages.map((stage, index) => {
+            const previous = index > 0 ? stages[index - 1].visitors : null;
+            return {
+                ...stage,
+                ofFirst: ratio(stage.visitors, first),
+                dropOff: previous === null ? null : ratio(previous - stage.visitors, previous)
+            };
+        });
+    }
+
+    // Runs abandoned because the visitor's face went missing, by the stage they were at
+    restarts(range) {
+        const counts = new Map(this.statements.restarts.all(range).map(row => [row.stage, row.count]));
+        return STAGES.map(stage => ({ stage, restarts: counts.get(stage) || 0 }));
+    }
+
+    // Average scores per scenario (0-100)
+    smile(range) {
+        return this.statements.smile.all(range).map(row => ({
+            scenarioId: row.scenarioId,
+            runs: row.runs,
+            smilingScore: round(row.smilingScore),
+            facialSymmetry: round(row.facialSymmetry),
+            joyDetection: round(row.joyDetection)
+        }));
+    }
+
+    // How often each scenario's smile passed as genuine, per threshold tier
+    // (`base` before the visitor's first genuine smile, `raised` after)
+    genuine(range) {
+        const thresholds = new Map(this.statements.thresholds.all().map(row => [row.tier, fromJson(row.thresholds)]));
+        return this.statements.genuine.all(range).map(row => ({
+            scenarioId: row.scenarioId,
+            tier: row.tier,
+            thresholds: thresholds.get(row.tier) || null,
+            judged: row.judged,
+            genuine: row.genuine,
+            polite: row.polite,
+            noSmile: row.noSmile,
+            genuineRate: ratio(row.genuine, row.judged)
+        }));
+    }
+}
+
+// Rows of flat objects as CSV; nested objects (thresholds) become their own columns
+function toCsv(rows) {
+    const flat = rows.map(row => {
+        const out = {};
+        for (const [key, value] of Object.entries(row)) {
+            if (value && typeof value === 'object') {
+                for (const [inner, innerValue] of Object.entries(value)) out[`${key}.${inner}`] = innerValue;
+            } else {
+                out[key] = value;
+            }
+        }
+        return out;
+    });
+    const columns = [...new Set(flat.flatMap(row => Object.keys(row)))];
+    return [columns, ...flat.map(row => columns.map(column => row[column]))].map(csvLine).join('');
+}
+
+function createAnalyticsRouter({ db, requireAdmin }) {
+    const router = express.Router();
+    const analytics = new Analytics({ db });
+
+    router.use(['/analytics', '/analytics.csv'], requireAdmin);
+
+    function handle(res, error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error computing analytics:', error);
+        res.status(500).json({ error: 'Failed to compute analytics' });
+    }
+
+    // All views as JSON: ?from=&to=
+    router.get('/analytics', (req, res) => {
+        try {
+            res.json(analytics.report(req.query));
+        } catch (error) {
+            handle(res, error);
+        }
+    });
+
+    // One view as CSV: ?view=visits|funnel|restarts|smile|genuine&from=&to=
+    router.get('/analytics.csv', (req, res) => {
+        const view = req.query.view;
+        if (!VIEWS.includes(view)) {
+            return res.status(400).json({ error: `view must be one of ${VIEWS.join(', ')}` });
+        }
+        try {
+            const range = parseRange(req.query);
+            const day = iso => iso.slice(0, 10);
+            res.type('text/csv');
+            res.attachment(`analytics_${view}_${day(range.fromIso)}_${day(range.toIso)}.csv`);
+            res.send(toCsv(analytics[view](range)));
+        } catch (error) {
+            handle(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { Analytics, createAnalyticsRouter };
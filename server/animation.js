@@ -0,0 +1,117 @@
+// Animation - Animated WebP/GIF of a session's captures, one labelled frame per capture
+//
+// Frames play in capture order (the "I am human" attempts, then the game scenarios) and
+// each carries its phase and smilingScore. Needs sharp >= 0.34 for `join: { animated: true }`.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const { readImageMeta } = require('./captures');
+
+const FRAME_SIZE = 300;
+const LABEL_HEIGHT = 56;
+const FRAME_DELAY_MS = 900;
+const LAST_FRAME_DELAY_MS = 2500;
+const FORMATS = {
+    webp: { contentType: 'image/webp', encode: (image, delay) => image.webp({ loop: 0, delay, quality: 80 }) },
+    gif: { contentType: 'image/gif', encode: (image, delay) => image.gif({ loop: 0, delay }) }
+};
+
+const SCENARIO_NAMES = {
+    fixed_movein: 'Move-in day',
+    fixed_haircut: 'Feeling cute',
+    fixed_stress: 'Work stress'
+};
+
+// Rendered animations, keyed by session, format and the captures they were built from
+const CACHE_SIZE = 20;
+const cache = new Map();
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[c]));
+}
+
+// "I am human #2" / "Move-in day" from the capture's metric snapshot
+function describePhase(metrics) {
+    if (metrics.scenarioId) return SCENARIO_NAMES[metrics.scenarioId] || metrics.scenarioId;
+    if (typeof metrics.smileLevel === 'number') return `I am human #${metrics.smileLevel}`;
+    return 'Capture';
+}
+
+function labelSvg(phase, score) {
+    const scoreText = typeof score === 'number' ? `${Math.round(score)}%` : '';
+    return Buffer.from(`
+        <svg width="${FRAME_SIZE}" height="${LABEL_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+            <rect width="100%" height="100%" fill="#000" fill-opacity="0.6"/>
+            <text x="14" y="35" font-family="sans-serif" font-size="18" font-weight="600" fill="#fff">${escapeXml(phase)}</text>
+            <text x="${FRAME_SIZE - 14}" y="35" font-family="sans-serif" font-size="22" font-weight="700" fill="#fff" text-anchor="end">${escapeXml(scoreText)}</text>
+        </svg>`);
+}
+
+async function renderFrame(faceDir, filename) {
+    const metrics = (readImageMeta(faceDir, filename) || {}).metrics || {};
+    return sharp(path.join(faceDir, filename))
+        .resize(FRAME_SIZE, FRAME_SIZE, { fit: 'cover' })
+        .composite([{ input: labelSvg(describePhase(metrics), metrics.smilingScore), gravity: 'south' }])
+        .png()
+        .toBuffer();
+}
+
+// Returns { buffer, contentType }, or null when none of the images exist any more
+async function createSessionAnimation(faceDir, sessionId, filenames, format = 'webp') {
+    // Own keys only: ?format=toString must not find Object.prototype.toString
+    const output = Object.prototype.hasOwnProperty.call(FORMATS, format) ? FORMATS[format] : null;
+    if (!output) {
+        throw Object.assign(new Error(`format must be one of: ${Object.keys(FORMATS).join(', ')}`), { status: 400 });
+    }
+
+    const existing = filenames.filter(filename => fs.existsSync(path.join(faceDir, filename)));
+    if (existing.length === 0) return null;
+
+    const key = `${sessionId}:${format}:${existing.join(',')}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const frames = await Promise.all(existing.map(filename => renderFrame(faceDir, filename)));
+    const delay = frames.map((frame, index) => index === frames.length - 1 ? LAST_FRAME_DELAY_MS : FRAME_DELAY_MS);
+    const joined = frames.length === 1 ? sharp(frames[0]) : sharp(frames, { join: { animated: true } });
+    const buffer = await output.encode(joined, delay).toBuffer();
+
+    const result = { buffer, contentType: output.contentType };
+    for (const cachedKey of cache.keys()) {
+        if (cachedKey.startsWith(`${sessionId}:${format}:`)) cache.delete(cachedKey);
+    }
+    cache.set(key, result);
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return result;
+}
+
+// Route handler body shared by the session and share-link endpoints:
+// ?format=webp (default) or gif, &download=1 to save it as a file
+async function sendSessionAnimation(req, res, faceDir, session) {
+    try {
+        const format = req.query.format || 'webp';
+        const animation = await createSessionAnimation(faceDir, session.id, session.captures, format);
+        if (!animation) {
+            return res.status(404).json({ error: 'No captures in this session' });
+        }
+        res.type(animation.contentType);
+        if (req.query.download) {
+            res.attachment(`smile_${session.id.slice(0, 8)}.${format}`);
+        }
+        res.send(animation.buffer);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating session animation:', error);
+        res.status(500).json({ error: 'Failed to create animation' });
+    }
+}
+
+// Drop cached animations so deleted captures don't linger in memory
+function clearAnimationCache() {
+    cache.clear();
+}
+
+module.exports = { createSessionAnimation, sendSessionAnimation, clearAnimationCache, describePhase };
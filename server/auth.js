@@ -0,0 +1,188 @@
+// Auth - Admin sign-in for the curator gallery and capture-management routes
+//
+// Scripts authenticate with `Authorization: Bearer <ADMIN_TOKEN>`. People sign in at
+// /admin/login.html with ADMIN_PASSWORD (or the token) and get an HttpOnly session cookie.
+// With neither configured a random token is generated at startup and logged once. Login attempts
+// are limited per client IP, so the password can't be guessed at kiosk-network speed.
+
+const crypto = require('crypto');
+const express = require('express');
+
+const { RateLimiter } = require('./uploadGuard');
+
+const COOKIE_NAME = 'mirror_admin';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Constant-time comparison of two secrets of any length
+function secretsMatch(given, expected) {
+    if (typeof given !== 'string' || !given || !expected) return false;
+    return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // Ignore malformed cookie values
+        }
+    }
+    return cookies;
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : null;
+}
+
+class AdminAuth {
+    constructor({ token = '', password = '', loginAttemptsPerMinute = 5 } = {}) {
+        this.token = token;
+        this.password = password;
+        this.generated = false;
+        this.sessions = new Map(); // cookie value -> expiry (ms)
+        this.loginLimiter = new RateLimiter({ limit: loginAttemptsPerMinute });
+
+        if (!this.token && !this.password) {
+            this.token = crypto.randomBytes(24).toString('base64url');
+            this.generated = true;
+        }
+    }
+
+    isAuthenticated(req) {
+        if (secretsMatch(bearerToken(req), this.token)) return true;
+
+        const session = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        const expiresAt = session && this.sessions.get(session);
+        if (!expiresAt) return false;
+        if (expiresAt < Date.now()) {
+            this.sessions.delete(session);
+            return false;
+        }
+        return true;
+    }
+
+    // The password or the API token both work on the login form
+    login(secret) {
+        if (!secretsMatch(secret, this.password) && !secretsMatch(secret, this.token)) {
+            return null;
+        }
+
+        const now = Date.now();
+        for (const [session, expiresAt] of this.sessions) {
+            if (expiresAt < now) this.sessions.delete(session);
+        }
+
+        const session = crypto.randomBytes(32).toString('base64url');
+        this.sessions.set(session, now + SESSION_TTL_MS);
+        return session;
+    }
+
+    logout(req) {
+        const session = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        if (session) this.sessions.delete(session);
+    }
+
+    // Middleware: browsers asking for a page are sent to the login form, API callers get 401
+    requireAdmin() {
+        return (req, res, next) => {
+            if (this.isAuthenticated(req)) return next();
+
+            if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+                return res.redirect(`/admin/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+            res.status(401).json({ error: 'Admin authentication required' });
+        };
+    }
+
+    // POST /admin/login { password } (429 with Retry-After over the per-IP limit), POST /admin/logout
+    router() {
+        const router = express.Router();
+
+        router.post('/admin/login', (req, res) => {
+            const { allowed, retryAfterSeconds } = this.loginLimiter.take(req.ip);
+            if (!allowed) {
+                console.warn(`Admin login refused from ${req.ip}: too many attempts`);
+                res.set('Retry-After', String(retryAfterSeconds));
+                return res.status(429).json({ error: `Too many login attempts; try again in ${retryAfterSeconds}s` });
+            }
+            const session = this.login(req.body && req.body.password);
+            if (!session) {
+                console.warn(`Admin login failed from ${req.ip}`);
+                return res.status(401).json({ error: 'Invalid password' });
+            }
+            res.cookie(COOKIE_NAME, session, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: req.secure,
+                maxAge: SESSION_TTL_MS,
+                path: '/'
+            });
+            res.json({ success: true });
+        });
+
+        router.post('/admin/logout', (req, res) => {
+            this.logout(req);
+            res.clearCookie(COOKIE_NAME, { path: '/' });
+            res.json({ success: true });
+        });
+
+        return router;
+    }
+}
+
+// Middleware: only accept requests made by pages on an allowed origin. Browsers always
+// send Origin on POSTs (Referer is the fallback); requests with neither are refused.
+// `refuse(res)` answers a refused request (403 { error } by default).
+function requireOrigin(allowedOrigins, { refuse = res => res.status(403).json({ error: 'Origin not allowed' }) } = {}) {
+    const allowed = new Set(allowedOrigins);
+    return (req, res, next) => {
+        let origin = req.headers.origin;
+        if (!origin && req.headers.referer) {
+            try {
+                origin = new URL(req.headers.referer).origin;
+            } catch (error) {
+                origin = null;
+            }
+        }
+
+        const ownOrigin = `${req.protocol}://${req.headers.host}`;
+        if (origin && (origin === ownOrigin || allowed.has(origin))) return next();
+
+        console.warn(`Rejected ${req.method} ${req.path} from origin ${origin || '(none)'}`);
+        refuse(res);
+    };
+}
+
+// Middleware: CORS for a mirror page served from one of `allowedOrigins` rather than by this
+// server (publicUrl pointing elsewhere). Answers preflights and lets that page read the
+// responses; no credentials, and only Content-Type may be sent, so the admin API stays
+// same-origin. Requests from other origins get no CORS headers and the browser blocks them.
+function allowOrigins(allowedOrigins) {
+    const allowed = new Set(allowedOrigins);
+    return (req, res, next) => {
+        const origin = req.headers.origin;
+        if (!origin || !allowed.has(origin)) return next();
+
+        res.vary('Origin');
+        res.set('Access-Control-Allow-Origin', origin);
+        res.set('Access-Control-Expose-Headers', 'Retry-After'); // Read by the capture queue on 429
+        if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+            res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+            res.set('Access-Control-Allow-Headers', 'Content-Type');
+            res.set('Access-Control-Max-Age', '600');
+            return res.sendStatus(204);
+        }
+        next();
+    };
+}
+
+module.exports = { AdminAuth, requireOrigin, allowOrigins };
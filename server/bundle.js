@@ -0,0 +1,115 @@
+// Bundle - One session as a ZIP archive, for the artist's documentation
+//
+//   captures/        every file of each capture (image, _landmarks.json, _meta.json, _analysis.jpg)
+//   telemetry.jsonl  the session's per-frame metrics, as stored
+//   scenarios.json   scenario outcomes, in play order
+//   animation.webp   the smile progression (when the session has images)
+//   manifest.json    the session, the list of files and what each kind holds
+//
+// The archive is streamed; nothing is written to disk.
+
+const archiver = require('archiver');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const { createSessionAnimation } = require('./animation');
+
+// Bump when the layout or the meaning of a file changes
+const BUNDLE_SCHEMA_VERSION = 1;
+
+const FILE_KINDS = {
+    image: 'Cropped face, eye line levelled (captures/<captureId>.jpg)',
+    landmarks: 'MediaPipe mesh as measured on the frame (`source`) and in the crop (`aligned`), with the frame size and face box',
+    analysis: 'The cropped face annotated with its landmarks, the lines the smile metrics measure and the score bars',
+    meta: 'Metric snapshot, frame-selection scores and crop alignment at capture time',
+    telemetry: 'One JSON object per tracked frame: t, phase, scenarioId, smile, muscle, symmetry, joy, face',
+    scenarios: 'Per-scenario results in play order: smilingScore, chargeAmount, balanceBefore/After, facialSymmetry, joyDetection, outcome, thresholdTier, thresholds',
+    animation: 'Animated WebP of the captures with their phase and smilingScore'
+};
+
+function fileKind(filename) {
+    if (filename.endsWith('_landmarks.json')) return 'landmarks';
+    if (filename.endsWith('_meta.json')) return 'meta';
+    if (filename.endsWith('_analysis.jpg')) return 'analysis';
+    if (/\.(jpe?g|png|webp)$/i.test(filename)) return 'image';
+    return 'other';
+}
+
+function createBundleRouter({ faceDir, sessions, captureIndex, telemetryStore, requireAdmin }) {
+    const router = express.Router();
+
+    router.get('/sessions/:id/bundle.zip', requireAdmin, async (req, res) => {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        // Rendered before the first byte goes out, so a failure can still be a plain error
+        let animation = null;
+        try {
+            animation = await createSessionAnimation(faceDir, session.id, session.captures, 'webp');
+        } catch (error) {
+            console.error(`Bundle ${session.id}: animation skipped:`, error.message);
+        }
+
+        const files = [];
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const addFile = (file, name, kind, extra = {}) => {
+            if (!fs.existsSync(file)) return; // Purged since it was indexed
+            archive.file(file, { name });
+            files.push({ path: name, kind, ...extra });
+        };
+        const addData = (data, name, kind) => {
+            archive.append(data, { name });
+            files.push({ path: name, kind });
+        };
+
+        for (const capture of captureIndex.filesForSession(session.id)) {
+            for (const filename of capture.files) {
+                addFile(path.join(faceDir, filename), `captures/${filename}`, fileKind(filename), { captureId: capture.id });
+            }
+        }
+        addFile(telemetryStore.file(session.id), 'telemetry.jsonl', 'telemetry');
+        addData(JSON.stringify(sessions.scenarioResults(session.id), null, 2), 'scenarios.json', 'scenarios');
+        if (animation) addData(animation.buffer, 'animation.webp', 'animation');
+
+        const manifest = {
+            schemaVersion: BUNDLE_SCHEMA_VERSION,
+            generatedAt: new Date().toISOString(),
+            session: {
+                id: session.id,
+                startedAt: session.startedAt,
+                endedAt: session.endedAt,
+                consent: session.consent,
+                summary: session.summary && {
+                    verdict: session.summary.verdict,
+                    finalMetrics: session.summary.finalMetrics,
+                    finalBalance: session.summary.finalBalance,
+                    receivedAt: session.summary.receivedAt
+                }
+            },
+            kinds: FILE_KINDS,
+            files
+        };
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+        archive.on('warning', error => console.error(`Bundle ${session.id}:`, error.message));
+        archive.on('error', error => {
+            console.error(`Bundle ${session.id} failed:`, error);
+            res.destroy(error);
+        });
+        res.on('close', () => {
+            if (!res.writableFinished) archive.abort(); // Client went away
+        });
+
+        res.type('application/zip');
+        res.attachment(`session_${session.id.slice(0, 8)}.zip`);
+        archive.pipe(res);
+        archive.finalize();
+    });
+
+    return router;
+}
+
+module.exports = { createBundleRouter, BUNDLE_SCHEMA_VERSION };
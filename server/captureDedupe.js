@@ -0,0 +1,101 @@
+// Capture Dedupe - Spots near-identical captures of one session with a perceptual hash
+//
+// The frame selector uploads the best few frames of a window, and a visitor holding still gives
+// frames that are all but the same. Each stored image gets a dHash: shrunk to 9x8 grey pixels,
+// one bit per pixel for "brighter than its right-hand neighbour", 64 bits that survive JPEG
+// noise, small shifts and exposure changes. Captures of the same session taken within
+// dedupe.windowSeconds of each other whose hashes differ in at most dedupe.maxDistance bits
+// (Hamming distance) are duplicates. With action 'merge' the one with the higher smiling score
+// is kept; with 'reject' the new upload is refused. When a new capture replaces a stored one, its
+// `supersedes` records what it replaced; a dropped or refused upload was never stored and
+// supersedes nothing.
+
+const sharp = require('sharp');
+
+const { readMeta } = require('./captures');
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// dHash of an image as 16 hex digits
+async function perceptualHash(image) {
+    const pixels = await sharp(image)
+        .greyscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const offset = y * HASH_WIDTH + x;
+            hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two hashes
+function hammingDistance(a, b) {
+    let bits = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (bits) {
+        distance += Number(bits & 1n);
+        bits >>= 1n;
+    }
+    return distance;
+}
+
+function smilingScore(metrics) {
+    const score = metrics && metrics.smilingScore;
+    return typeof score === 'number' && Number.isFinite(score) ? score : -Infinity;
+}
+
+class CaptureDedupe {
+    // maxDistance 0 turns deduplication off
+    constructor({ faceDir, captureIndex, retention, maxDistance = 6, windowSeconds = 2, action = 'merge' }) {
+        this.faceDir = faceDir;
+        this.captureIndex = captureIndex;
+        this.retention = retention;
+        this.maxDistance = maxDistance;
+        this.windowMs = windowSeconds * 1000;
+        this.action = action;
+    }
+
+    get enabled() {
+        return this.maxDistance > 0;
+    }
+
+    // The closest stored capture of the session within the window and distance, as
+    // { capture, distance }, or null
+    find(sessionId, capturedAt, hash) {
+        if (!this.enabled) return null;
+        let best = null;
+        for (const capture of this.captureIndex.hashedNear(sessionId, capturedAt, this.windowMs)) {
+            const distance = hammingDistance(hash, capture.perceptualHash);
+            if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+                best = { capture, distance };
+            }
+        }
+        return best;
+    }
+
+    // Whether a new upload with `metrics` should replace the duplicate it matched; ties keep
+    // the stored one, so the kiosk's reveal doesn't change under the visitor
+    replaces(duplicate, metrics) {
+        return this.action === 'merge' && smilingScore(metrics) > smilingScore(duplicate.capture.metrics);
+    }
+
+    // `supersedes` of a new capture that replaces the duplicate, which may have replaced others
+    supersedesFor(duplicate) {
+        const meta = readMeta(this.faceDir, duplicate.capture) || {};
+        return [{ id: duplicate.capture.id, distance: duplicate.distance, at: new Date().toISOString() }, ...(meta.supersedes || [])];
+    }
+
+    // The new capture `id` replaced the stored duplicate: delete it
+    retire(duplicate, id) {
+        return this.retention.purge([duplicate.capture], 'duplicate', { supersededBy: id, distance: duplicate.distance });
+    }
+}
+
+module.exports = { CaptureDedupe, perceptualHash, hammingDistance };
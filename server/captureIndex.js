@@ -0,0 +1,278 @@
+// Capture Index - The database rows behind every capture listing
+//
+// One row per capture (see captures.js for the file layout) with its session, size, file
+// list and the metric snapshot from `_meta.json`. migrate() reconciles the rows with
+// face_images/ on startup; /capture-face adds rows and purges remove them.
+
+const fs = require('fs');
+const path = require('path');
+
+const { listCaptures, readMeta } = require('./captures');
+const { toJson, fromJson } = require('./database');
+const { isVisible, visibleModeSql } = require('./captureMode');
+
+const CAPTURE_ID = /^face_(\d+)_\d+$/;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function imageFile(id, files) {
+    return files.find(file => file === `${id}${path.extname(file)}` &&
+        IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) || null;
+}
+
+function encodeCursor(row) {
+    return Buffer.from(`${row.captured_at}:${row.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const [capturedAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split(':');
+    if (!id || !Number.isFinite(Number(capturedAt))) return null;
+    return { capturedAt: Number(capturedAt), id };
+}
+
+// A row in the { id, capturedAt, files, bytes } shape of listCaptures()
+function toCapture(row) {
+    return { id: row.id, capturedAt: row.captured_at, files: fromJson(row.files) || [], bytes: row.bytes };
+}
+
+// Parse a date query parameter: ISO string or epoch milliseconds
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+class CaptureIndex {
+    // Listings leave out captures kept in a laxer mode than `captureMode` (see captureMode.js)
+    constructor({ db, faceDir, captureMode = 'full' }) {
+        this.db = db;
+        this.faceDir = faceDir;
+        this.captureMode = captureMode;
+        this.visible = visibleModeSql(captureMode);
+        this.statements = {
+            upsert: db.prepare(`INSERT INTO captures (id, session_id, filename, captured_at, bytes, files, metrics, selection, alignment,
+                    capture_mode, perceptual_hash, supersedes)
+                VALUES (@id, @sessionId, @filename, @capturedAt, @bytes, @files, @metrics, @selection, @alignment,
+                    @captureMode, @perceptualHash, @supersedes)
+                ON CONFLICT (id) DO UPDATE SET session_id = excluded.session_id, filename = excluded.filename,
+                    bytes = excluded.bytes, files = excluded.files, metrics = excluded.metrics,
+                    selection = excluded.selection, alignment = excluded.alignment, capture_mode = excluded.capture_mode,
+                    perceptual_hash = excluded.perceptual_hash, supersedes = excluded.supersedes`),
+            get: db.prepare('SELECT * FROM captures WHERE id = ?'),
+            all: db.prepare('SELECT id, bytes, files FROM captures'),
+            remove: db.prepare('DELETE FROM captures WHERE id = ?'),
+            forSession: db.prepare(`SELECT * FROM captures WHERE session_id = ? AND ${this.visible} ORDER BY captured_at, id`),
+            hashedNear: db.prepare(`SELECT * FROM captures WHERE session_id = ? AND perceptual_hash IS NOT NULL
+                AND captured_at BETWEEN ? AND ? ORDER BY captured_at, id`),
+            fullCaptures: db.prepare(`SELECT id, captured_at, files, bytes FROM captures
+                WHERE COALESCE(capture_mode, 'full') = 'full' ORDER BY captured_at, id`),
+            latest: db.prepare(`SELECT filename FROM captures WHERE filename IS NOT NULL AND ${this.visible}
+                ORDER BY captured_at DESC, id DESC LIMIT ?`),
+            hasSession: db.prepare('SELECT 1 FROM sessions WHERE id = ?'),
+            // Sessions only known from their captures: closed, and they must have had consent
+            restoreSession: db.prepare(`INSERT INTO sessions (id, started_at, ended_at, consent, consent_at, capture_mode)
+                VALUES (@id, @at, @at, 1, @at, @captureMode)`),
+            widenSession: db.prepare(`UPDATE sessions SET started_at = MIN(started_at, @at),
+                ended_at = CASE WHEN ended_at IS NULL THEN NULL ELSE MAX(ended_at, @at) END WHERE id = @id`)
+        };
+    }
+
+    // Bring the rows in line with face_images/: index new or changed captures, drop vanished ones.
+    // Returns { captures, added, removed, sessionsRestored }.
+    migrate() {
+        const onDisk = listCaptures(this.faceDir);
+        const known = new Map(this.statements.all.all().map(row => [row.id, row]));
+        const result = { captures: onDisk.length, added: 0, removed: 0, sessionsRestored: 0 };
+
+        this.db.transaction(() => {
+            for (const capture of onDisk) {
+                const row = known.get(capture.id);
+                known.delete(capture.id);
+                // Unchanged since it was indexed: skip reading the meta file
+                if (row && row.bytes === capture.bytes && row.files === JSON.stringify(capture.files.slice().sort())) continue;
+
+                const meta = readMeta(this.faceDir, capture) || {};
+                if (meta.sessionId && this.restoreSession(meta.sessionId, meta.capturedAt || new Date(capture.capturedAt).toISOString(), meta.captureMode)) {
+                    result.sessionsRestored++;
+                }
+                this.write(capture, meta);
+                if (!row) result.added++;
+            }
+            for (const id of known.keys()) {
+                this.statements.remove.run(id);
+                result.removed++;
+            }
+        })();
+
+        return result;
+    }
+
+    restoreSession(sessionId, at, captureMode = null) {
+        if (this.statements.hasSession.get(sessionId)) {
+            this.statements.widenSession.run({ id: sessionId, at });
+            return false;
+        }
+        this.statements.restoreSession.run({ id: sessionId, at, captureMode });
+        return true;
+    }
+
+    write(capture, meta) {
+        const files = capture.files.slice().sort();
+        this.statements.upsert.run({
+            id: capture.id,
+            sessionId: meta.sessionId || null,
+            filename: imageFile(capture.id, files),
+            capturedAt: capture.capturedAt,
+            bytes: capture.bytes,
+            files: JSON.stringify(files),
+            metrics: toJson(meta.metrics),
+            selection: toJson(meta.selection),
+            alignment: toJson(meta.alignment),
+            captureMode: meta.captureMode || 'full',
+            perceptualHash: typeof meta.perceptualHash === 'string' ? meta.perceptualHash : null,
+            supersedes: toJson(meta.supersedes)
+        });
+    }
+
+    // Index a capture /capture-face just wrote; `files` are the names it wrote, `meta` its _meta.json
+    add(id, files, meta) {
+        const match = CAPTURE_ID.exec(id);
+        if (!match) throw new Error(`Not a capture id: ${id}`);
+
+        let bytes = 0;
+        for (const file of files) {
+            bytes += fs.statSync(path.join(this.faceDir, file)).size;
+        }
+        this.write({ id, capturedAt: Number(match[1]), files, bytes }, meta);
+    }
+
+    // Drop rows of captures whose files were deleted
+    remove(ids) {
+        this.db.transaction(() => {
+            for (const id of ids) this.statements.remove.run(id);
+        })();
+    }
+
+    // Whether the files of capture `id` may be served under the current capture mode
+    isVisible(id) {
+        if (this.captureMode === 'full') return true;
+        const row = this.statements.get.get(id);
+        return !!row && isVisible(row.capture_mode, this.captureMode);
+    }
+
+    // Captures by id, in the { id, capturedAt, files, bytes } shape RetentionManager.purge takes
+    get(ids) {
+        return ids
+            .map(id => this.statements.get.get(id))
+            .filter(Boolean)
+            .map(toCapture);
+    }
+
+    // A session's captures in the same shape, oldest first
+    filesForSession(sessionId) {
+        return this.statements.forSession.all(sessionId).map(toCapture);
+    }
+
+    // A session's captures, oldest first
+    forSession(sessionId) {
+        return this.statements.forSession.all(sessionId).map(row => this.describe(row));
+    }
+
+    // A session's hashed captures taken within windowMs of `at`, in the shape of get() plus
+    // perceptualHash and metrics
+    hashedNear(sessionId, at, windowMs) {
+        return this.statements.hashedNear.all(sessionId, at - windowMs, at + windowMs).map(row => ({
+            ...toCapture(row),
+            perceptualHash: row.perceptual_hash,
+            metrics: fromJson(row.metrics)
+        }));
+    }
+
+    // Captures that kept the full photo, oldest first; none unless the installation is in full mode
+    fullCaptures() {
+        if (this.captureMode !== 'full') return [];
+        return this.statements.fullCaptures.all().map(toCapture);
+    }
+
+    // Image filenames of the newest captures
+    latest(limit) {
+        return this.statements.latest.all(limit).map(row => row.filename);
+    }
+
+    // Public description of a capture for the admin API
+    describe(row) {
+        const files = fromJson(row.files) || [];
+        const landmarksFile = files.find(file => file.endsWith('_landmarks.json'));
+        const analysisFile = files.find(file => file.endsWith('_analysis.jpg'));
+        return {
+            id: row.id,
+            filename: row.filename,
+            sessionId: row.session_id,
+            capturedAt: new Date(row.captured_at).toISOString(),
+            bytes: row.bytes,
+            metrics: fromJson(row.metrics),
+            selection: fromJson(row.selection),
+            alignment: fromJson(row.alignment),
+            captureMode: row.capture_mode || 'full',
+            supersedes: fromJson(row.supersedes) || [],
+            imageUrl: row.filename ? `/images/${row.filename}` : null,
+            landmarksUrl: landmarksFile ? `/images/${landmarksFile}` : null,
+            analysisUrl: analysisFile ? `/images/${analysisFile}` : null
+        };
+    }
+
+    // Newest-first page of captures: ?from=&to=&session=&limit=&cursor=
+    // Throws a 400-status error for bad parameters.
+    query({ from, to, session, limit, cursor } = {}) {
+        const fromTime = parseTime(from);
+        const toTime = parseTime(to);
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+            throw badRequest('from/to must be ISO dates or epoch milliseconds');
+        }
+
+        const pageSize = limit === undefined || limit === '' ? DEFAULT_PAGE_SIZE : Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            throw badRequest(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        const where = [this.visible];
+        const params = { limit: pageSize + 1 };
+        if (fromTime !== null) {
+            where.push('captured_at >= @from');
+            params.from = fromTime;
+        }
+        if (toTime !== null) {
+            where.push('captured_at <= @to');
+            params.to = toTime;
+        }
+        if (session) {
+            where.push('session_id = @session');
+            params.session = String(session);
+        }
+        if (cursor) {
+            const after = decodeCursor(String(cursor));
+            if (!after) throw badRequest('Invalid cursor');
+            where.push('(captured_at < @afterTime OR (captured_at = @afterTime AND id < @afterId))');
+            params.afterTime = after.capturedAt;
+            params.afterId = after.id;
+        }
+
+        const rows = this.db.prepare(`SELECT * FROM captures
+            WHERE ${where.join(' AND ')}
+            ORDER BY captured_at DESC, id DESC LIMIT @limit`).all(params);
+
+        const page = rows.slice(0, pageSize);
+        return {
+            captures: page.map(row => this.describe(row)),
+            nextCursor: rows.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+        };
+    }
+}
+
+module.exports = { CaptureIndex, parseTime };
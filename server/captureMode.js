@@ -0,0 +1,152 @@
+// Capture Mode - How much of the visitor's face a capture may keep
+//
+//   full            the aligned crop as it is
+//   blurred         the crop with everything inside the landmark hull pixelated and blurred;
+//                   hair, shoulders and background stay as they are
+//   landmarks-only  no photo at all: the stored image is a wireframe drawn from the landmarks
+//
+// The installation sets a mode (capture.mode) and a session may ask for a stricter one. The
+// stored image is what every listing, export, bundle, report and the reveal show; the raw upload
+// is never written to disk. Captures kept in a laxer mode than the installation's current one
+// (say, full captures from before a venue switched to blurred) are left out of all of them.
+
+const sharp = require('sharp');
+
+// Least to most private
+const CAPTURE_MODES = ['full', 'blurred', 'landmarks-only'];
+
+const HULL_GROWTH = 0.12;      // The hull is grown by this fraction around its centre to cover the hairline and jaw
+const BLOCKS_ACROSS_FACE = 8;  // Pixelation blocks across the face width
+
+// Face Mesh contours for the wireframe (the MediaPipe FACEMESH_* connection sets, as paths)
+const CONTOURS = {
+    faceOval: { closed: true, points: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109] },
+    lipsOuter: { closed: true, points: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185] },
+    lipsInner: { closed: true, points: [78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 415, 310, 311, 312, 13, 82, 81, 80, 191] },
+    eyeA: { closed: true, points: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246] },
+    eyeB: { closed: true, points: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466] },
+    browA: { closed: false, points: [46, 53, 52, 65, 55, 70, 63, 105, 66, 107] },
+    browB: { closed: false, points: [276, 283, 282, 295, 285, 300, 293, 334, 296, 336] },
+    noseBridge: { closed: false, points: [168, 6, 197, 195, 5, 4, 1] },
+    noseBase: { closed: false, points: [98, 97, 2, 326, 327] }
+};
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// The mode a session captures in: the installation's, or the stricter one the session asked for.
+// Throws a 400-status error for an unknown mode.
+function resolveCaptureMode(requested, installationMode) {
+    if (requested === undefined || requested === null || requested === '') return installationMode;
+    if (!CAPTURE_MODES.includes(requested)) {
+        throw badRequest(`captureMode must be one of ${CAPTURE_MODES.join(', ')}`);
+    }
+    return CAPTURE_MODES.indexOf(requested) > CAPTURE_MODES.indexOf(installationMode) ? requested : installationMode;
+}
+
+// Modes at least as private as `mode`: the captures that may still be shown under it
+function visibleModes(mode) {
+    return CAPTURE_MODES.slice(CAPTURE_MODES.indexOf(mode));
+}
+
+function isVisible(captureMode, installationMode) {
+    return visibleModes(installationMode).includes(captureMode || 'full');
+}
+
+// SQL condition on a capture_mode column (null rows predate modes and were full)
+function visibleModeSql(installationMode, column = 'capture_mode') {
+    return `COALESCE(${column}, 'full') IN (${visibleModes(installationMode).map(mode => `'${mode}'`).join(', ')})`;
+}
+
+function cross(o, a, b) {
+    return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+// Convex hull (monotone chain) of [x, y] points, counter-clockwise
+function convexHull(points) {
+    const sorted = points.map(p => [p[0], p[1]]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const half = list => {
+        const hull = [];
+        for (const point of list) {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+            hull.push(point);
+        }
+        hull.pop();
+        return hull;
+    };
+    return [...half(sorted), ...half(sorted.slice().reverse())];
+}
+
+function svgPoints(points) {
+    return points.map(p => `${p[0].toFixed(1)},${p[1].toFixed(1)}`).join(' ');
+}
+
+// Pixelate and blur the face inside the (grown) landmark hull; without landmarks, the whole image
+async function blurFace(image, landmarks, jpegQuality) {
+    const { width, height } = await sharp(image).metadata();
+
+    let hull = null;
+    let faceWidth = width;
+    if (landmarks) {
+        const outline = convexHull(landmarks);
+        const cx = outline.reduce((sum, p) => sum + p[0], 0) / outline.length;
+        const cy = outline.reduce((sum, p) => sum + p[1], 0) / outline.length;
+        hull = outline.map(([x, y]) => [cx + (x - cx) * (1 + HULL_GROWTH), cy + (y - cy) * (1 + HULL_GROWTH)]);
+        faceWidth = Math.max(...hull.map(p => p[0])) - Math.min(...hull.map(p => p[0]));
+    }
+
+    const block = Math.max(4, Math.round(faceWidth / BLOCKS_ACROSS_FACE));
+    const pixelated = await sharp(image)
+        .resize(Math.max(1, Math.round(width / block)), Math.max(1, Math.round(height / block)))
+        .resize(width, height, { kernel: 'nearest' })
+        .blur(block / 3)
+        .toBuffer();
+    if (!hull) {
+        return sharp(pixelated).jpeg({ quality: jpegQuality }).toBuffer();
+    }
+
+    const mask = Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg"><polygon points="${svgPoints(hull)}" fill="#fff"/></svg>`);
+    const face = await sharp(pixelated)
+        .ensureAlpha()
+        .composite([{ input: mask, blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+    return sharp(image)
+        .composite([{ input: face }])
+        .jpeg({ quality: jpegQuality })
+        .toBuffer();
+}
+
+// Wireframe silhouette of the face: the filled oval, the feature contours and the mesh points
+async function renderWireframe(landmarks, size, jpegQuality) {
+    const path = ({ closed, points }) => {
+        const tag = closed ? 'polygon' : 'polyline';
+        return `<${tag} points="${svgPoints(points.map(index => landmarks[index]))}" fill="none" stroke="rgba(10, 132, 255, 0.9)" stroke-width="${(size / 200).toFixed(1)}" stroke-linejoin="round"/>`;
+    };
+    const oval = CONTOURS.faceOval.points.map(index => landmarks[index]);
+    const dots = landmarks.map(p => `<circle cx="${p[0].toFixed(1)}" cy="${p[1].toFixed(1)}" r="${(size / 300).toFixed(2)}" fill="rgba(255, 255, 255, 0.5)"/>`).join('');
+
+    const svg = Buffer.from(`
+        <svg width="${size}" height="${size}" xmlns="http://www.w3.org/2000/svg">
+            <rect width="100%" height="100%" fill="#000"/>
+            <polygon points="${svgPoints(oval)}" fill="rgba(255, 255, 255, 0.08)"/>
+            ${dots}
+            ${Object.values(CONTOURS).map(path).join('')}
+        </svg>`);
+    return sharp(svg).jpeg({ quality: jpegQuality }).toBuffer();
+}
+
+// The image to store for a cropFace() result in `mode`
+async function imageForMode(cropped, mode, { jpegQuality }) {
+    if (mode === 'blurred') {
+        return blurFace(cropped.image, cropped.landmarks, jpegQuality);
+    }
+    if (mode === 'landmarks-only') {
+        if (!cropped.landmarks) throw new Error('landmarks-only captures need the landmark mesh');
+        return renderWireframe(cropped.landmarks, cropped.alignment.outputSize, jpegQuality);
+    }
+    return cropped.image;
+}
+
+module.exports = { CAPTURE_MODES, CONTOURS, resolveCaptureMode, isVisible, visibleModeSql, imageForMode };
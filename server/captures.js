@@ -0,0 +1,68 @@
+// Captures - Reads the face_images/ layout
+//
+// A capture is every file sharing a `face_<timestamp>_<n>` prefix: the cropped image,
+// `_landmarks.json`, `_meta.json` and anything derived from them later.
+
+const fs = require('fs');
+const path = require('path');
+
+const CAPTURE_PREFIX = /^(face_(\d+)_\d+)/;
+
+function compareCaptures(a, b) {
+    return a.capturedAt - b.capturedAt || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+// Group the files in faceDir into captures, oldest first
+function listCaptures(faceDir) {
+    if (!fs.existsSync(faceDir)) return [];
+
+    const captures = new Map();
+    for (const file of fs.readdirSync(faceDir)) {
+        const match = CAPTURE_PREFIX.exec(file);
+        if (!match) continue;
+
+        let stat;
+        try {
+            stat = fs.statSync(path.join(faceDir, file));
+        } catch (error) {
+            continue; // Removed while we were looking
+        }
+
+        const id = match[1];
+        let capture = captures.get(id);
+        if (!capture) {
+            capture = { id, capturedAt: Number(match[2]), files: [], bytes: 0 };
+            captures.set(id, capture);
+        }
+        capture.files.push(file);
+        capture.bytes += stat.size;
+    }
+
+    return [...captures.values()].sort(compareCaptures);
+}
+
+function readJsonFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Parsed `_meta.json` of a capture (null if missing or unreadable)
+function readMeta(faceDir, capture) {
+    const metaFile = capture.files.find(file => file.endsWith('_meta.json'));
+    return metaFile ? readJsonFile(path.join(faceDir, metaFile)) : null;
+}
+
+// Same, looked up from the capture's image filename
+function readImageMeta(faceDir, filename) {
+    const baseName = path.basename(filename, path.extname(filename));
+    return readJsonFile(path.join(faceDir, `${baseName}_meta.json`));
+}
+
+module.exports = {
+    listCaptures,
+    readMeta,
+    readImageMeta
+};
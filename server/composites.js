@@ -0,0 +1,407 @@
+// Composites - The daily "mirror memory": the day's faces warped onto one shape and averaged
+//
+// Each capture's aligned landmarks (`_landmarks.json`) are first moved by a similarity transform
+// that puts the outer eye corners at fixed points; the mean of those shapes is the day's 468-point
+// template. Its triangles are the Face Mesh tessellation (server/faceMesh.js) with the eyes and
+// mouth closed, plus a band stitched from the face oval out to eight points on the border; every
+// face is warped onto them triangle by triangle (piecewise affine) and averaged. Only captures kept
+// in full mode count, and only days with at least composites.minFaces of them get a composite, so
+// no single visitor can be picked out.
+//
+// The job redraws a day when captures were added to it. When a visitor or the curator deletes a
+// capture that is in a composite, the composite is redrawn from what is left (or removed). The
+// retention sweep leaves composites alone: the mirror remembers longer than the photos are kept.
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+
+const { FACEMESH_TRIANGLES } = require('./faceMesh');
+const { CONTOURS } = require('./captureMode');
+
+const MESH_POINTS = 468;
+const EYE_OUTER = [33, 263];
+// Where the outer eye corners land, as fractions of the composite's size
+const EYE_LEFT = [0.34, 0.42];
+const EYE_RIGHT = [0.66, 0.42];
+const JPEG_QUALITY = 90;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Local calendar day of an epoch-ms time, as YYYY-MM-DD
+function dayKey(time) {
+    const date = new Date(time);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function readJsonFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// The similarity transform (as { a, b } in complex-number form, z -> a*z + b) that maps the
+// points `from` onto `to`
+function similarity([p1, p2], [q1, q2]) {
+    const dx = p2[0] - p1[0];
+    const dy = p2[1] - p1[1];
+    const ux = q2[0] - q1[0];
+    const uy = q2[1] - q1[1];
+    const norm = dx * dx + dy * dy;
+    const a = [(ux * dx + uy * dy) / norm, (uy * dx - ux * dy) / norm];
+    const b = [q1[0] - (a[0] * p1[0] - a[1] * p1[1]), q1[1] - (a[0] * p1[1] + a[1] * p1[0])];
+    return { a, b };
+}
+
+function transform({ a, b }, [x, y]) {
+    return [a[0] * x - a[1] * y + b[0], a[0] * y + a[1] * x + b[1]];
+}
+
+function invert({ a, b }) {
+    const norm = a[0] * a[0] + a[1] * a[1];
+    const inverse = [a[0] / norm, -a[1] / norm];
+    return { a: inverse, b: [-(inverse[0] * b[0] - inverse[1] * b[1]), -(inverse[0] * b[1] + inverse[1] * b[0])] };
+}
+
+// Triangles closing a hole in the mesh outlined by `ring`, zigzagging across it from its first
+// point (an eye or mouth corner)
+function closeHole(ring) {
+    const triangles = [];
+    let low = 0;
+    let high = ring.length - 1;
+    while (high - low > 1) {
+        triangles.push([ring[low], ring[low + 1], ring[high]]);
+        low++;
+        if (high - low > 1) {
+            triangles.push([ring[low], ring[high - 1], ring[high]]);
+            high--;
+        }
+    }
+    return triangles;
+}
+
+// The face: the mesh with its eyes and mouth closed
+const FACE_TRIANGLES = [
+    ...FACEMESH_TRIANGLES,
+    ...[CONTOURS.eyeA, CONTOURS.eyeB, CONTOURS.lipsInner].flatMap(contour => closeHole(contour.points))
+];
+
+// Triangles of the band between two closed rings of indices into `points` around the same
+// centre (the face oval and the border), stitched in order of angle around the inner one
+function stitchRings(points, inner, outer) {
+    const [cx, cy] = [0, 1].map(axis => inner.reduce((total, index) => total + points[index][axis], 0) / inner.length);
+    const byAngle = ring => ring
+        .map(index => ({ index, angle: Math.atan2(points[index][1] - cy, points[index][0] - cx) }))
+        .sort((a, b) => a.angle - b.angle);
+    const a = byAngle(inner);
+    const b = byAngle(outer);
+    const at = (ring, i) => ring[i % ring.length];
+    // Past the last point a ring is back at its first, a full turn on
+    const angle = (ring, i) => at(ring, i).angle + (i >= ring.length ? 2 * Math.PI : 0);
+
+    const triangles = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        const nextInner = i < a.length ? angle(a, i + 1) : Infinity;
+        const nextOuter = j < b.length ? angle(b, j + 1) : Infinity;
+        if (nextInner <= nextOuter) {
+            triangles.push([at(a, i).index, at(a, i + 1).index, at(b, j).index]);
+            i++;
+        } else {
+            triangles.push([at(a, i).index, at(b, j).index, at(b, j + 1).index]);
+            j++;
+        }
+    }
+    return triangles;
+}
+
+// Warp `source` (raw RGB) onto the template triangles and add it to `sum`/`count`. `points` are
+// the face's points matching `template`, in source pixels.
+function accumulate(source, points, template, triangles, size, sum, count) {
+    const covered = new Uint8Array(size * size);
+    const { data, width, height } = source;
+
+    for (const [i, j, k] of triangles) {
+        const [x0, y0] = template[i];
+        const [x1, y1] = template[j];
+        const [x2, y2] = template[k];
+        const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+        if (Math.abs(area) < 1e-9) continue;
+
+        const left = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+        const right = Math.min(size - 1, Math.ceil(Math.max(x0, x1, x2)));
+        const top = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+        const bottom = Math.min(size - 1, Math.ceil(Math.max(y0, y1, y2)));
+        for (let y = top; y <= bottom; y++) {
+            const cy = y + 0.5;
+            for (let x = left; x <= right; x++) {
+                const pixel = y * size + x;
+                if (covered[pixel]) continue;
+                const cx = x + 0.5;
+                // Barycentric weights of the pixel centre
+                const w1 = ((cx - x0) * (y2 - y0) - (x2 - x0) * (cy - y0)) / area;
+                const w2 = ((x1 - x0) * (cy - y0) - (cx - x0) * (y1 - y0)) / area;
+                const w0 = 1 - w1 - w2;
+                if (w0 < -1e-6 || w1 < -1e-6 || w2 < -1e-6) continue;
+                covered[pixel] = 1;
+
+                // The same spot in the source, sampled bilinearly
+                const sx = Math.min(width - 1, Math.max(0, w0 * points[i][0] + w1 * points[j][0] + w2 * points[k][0] - 0.5));
+                const sy = Math.min(height - 1, Math.max(0, w0 * points[i][1] + w1 * points[j][1] + w2 * points[k][1] - 0.5));
+                const sx0 = Math.floor(sx);
+                const sy0 = Math.floor(sy);
+                const sx1 = Math.min(width - 1, sx0 + 1);
+                const sy1 = Math.min(height - 1, sy0 + 1);
+                const fx = sx - sx0;
+                const fy = sy - sy0;
+                for (let channel = 0; channel < 3; channel++) {
+                    const a = data[(sy0 * width + sx0) * 3 + channel];
+                    const b = data[(sy0 * width + sx1) * 3 + channel];
+                    const c = data[(sy1 * width + sx0) * 3 + channel];
+                    const d = data[(sy1 * width + sx1) * 3 + channel];
+                    sum[pixel * 3 + channel] += (a * (1 - fx) + b * fx) * (1 - fy) + (c * (1 - fx) + d * fx) * fy;
+                }
+                count[pixel]++;
+            }
+        }
+    }
+}
+
+// JPEG of the average of `faces` ([{ image: Buffer, landmarks: [[x, y, z], ...] }], landmarks
+// in image pixels); resolves to null when there are no usable faces
+async function renderComposite(faces, size) {
+    const eyeTargets = [EYE_LEFT, EYE_RIGHT].map(([x, y]) => [x * size, y * size]);
+    const border = [[0, 0], [size / 2, 0], [size, 0], [size, size / 2], [size, size], [size / 2, size], [0, size], [0, size / 2]];
+
+    // Eye corners ordered by x, so mirrored frames aren't turned upside down
+    const aligned = faces.map(face => {
+        const eyes = EYE_OUTER.map(index => face.landmarks[index]).sort((a, b) => a[0] - b[0]);
+        const toTemplate = similarity(eyes, eyeTargets);
+        return { ...face, toTemplate, normalised: face.landmarks.slice(0, MESH_POINTS).map(point => transform(toTemplate, point)) };
+    });
+    if (aligned.length === 0) return null;
+
+    const template = [];
+    for (let index = 0; index < MESH_POINTS; index++) {
+        template.push([0, 1].map(axis => aligned.reduce((total, face) => total + face.normalised[index][axis], 0) / aligned.length));
+    }
+    template.push(...border);
+    const triangles = [...FACE_TRIANGLES, ...stitchRings(template, CONTOURS.faceOval.points, border.map((point, index) => MESH_POINTS + index))];
+
+    const sum = new Float64Array(size * size * 3);
+    const count = new Uint16Array(size * size);
+    for (const face of aligned) {
+        const { data, info } = await sharp(face.image).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+        const fromTemplate = invert(face.toTemplate);
+        const points = [...face.landmarks.slice(0, MESH_POINTS), ...border.map(point => transform(fromTemplate, point))];
+        accumulate({ data, width: info.width, height: info.height }, points, template, triangles, size, sum, count);
+        // Let requests through between faces
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const pixels = Buffer.alloc(size * size * 3);
+    for (let pixel = 0; pixel < size * size; pixel++) {
+        for (let channel = 0; channel < 3; channel++) {
+            pixels[pixel * 3 + channel] = count[pixel] ? Math.round(sum[pixel * 3 + channel] / count[pixel]) : 0;
+        }
+    }
+    return sharp(pixels, { raw: { width: size, height: size, channels: 3 } })
+        .jpeg({ quality: JPEG_QUALITY })
+        .toBuffer();
+}
+
+class CompositeJob {
+    constructor({ captureIndex, faceDir, dir, size = 400, minFaces = 5, maxFaces = 200, intervalMinutes = 30 }) {
+        this.captureIndex = captureIndex;
+        this.faceDir = faceDir;
+        this.dir = dir;
+        this.size = size;
+        this.minFaces = minFaces;
+        this.maxFaces = maxFaces;
+        this.intervalMinutes = intervalMinutes;
+        this.timer = null;
+        this.running = null;
+        // Day -> ids of deleted captures that may be in its composite
+        this.stale = new Map();
+    }
+
+    start() {
+        this.stop();
+        this.run();
+        if (this.intervalMinutes > 0) {
+            this.timer = setInterval(() => this.run(), this.intervalMinutes * 60 * 1000);
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // RetentionManager onPurge: composites holding a capture deleted on request are redrawn
+    forget(purged, reason) {
+        if (reason === 'retention-sweep') return;
+        for (const capture of purged) {
+            const day = dayKey(capture.capturedAt);
+            if (!this.stale.has(day)) this.stale.set(day, new Set());
+            this.stale.get(day).add(capture.id);
+        }
+        if (purged.length > 0) this.run();
+    }
+
+    // Draw every composite that is missing or out of date; resolves to the days drawn
+    run() {
+        if (!this.running) {
+            this.running = this.update()
+                .catch(error => {
+                    console.error('Composite job failed:', error);
+                    return [];
+                })
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+        return this.running;
+    }
+
+    async update() {
+        const days = new Map();
+        for (const capture of this.captureIndex.fullCaptures()) {
+            const day = dayKey(capture.capturedAt);
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(capture);
+        }
+
+        const drawn = [];
+        for (const day of new Set([...days.keys(), ...this.stale.keys()])) {
+            const captures = days.get(day) || [];
+            const current = this.read(day);
+            const deleted = this.stale.get(day);
+            this.stale.delete(day);
+
+            const considered = new Set(current ? current.considered : []);
+            const added = captures.some(capture => !considered.has(capture.id));
+            const lost = !!current && !!deleted && current.captures.some(id => deleted.has(id));
+            if (!added && !lost) continue;
+
+            if (await this.draw(day, captures)) {
+                drawn.push(day);
+            } else if (lost) {
+                this.remove(day);
+                console.log(`Composite for ${day} removed: fewer than ${this.minFaces} faces left`);
+            }
+        }
+        return drawn;
+    }
+
+    // Draw the composite of `day` from its captures; false if too few have usable landmarks
+    async draw(day, captures) {
+        // Spread over the whole day when there are more than maxFaces
+        const step = Math.max(1, captures.length / this.maxFaces);
+        const chosen = [];
+        for (let position = 0; position < captures.length && chosen.length < this.maxFaces; position += step) {
+            chosen.push(captures[Math.floor(position)]);
+        }
+
+        const faces = [];
+        for (const capture of chosen) {
+            const face = this.loadFace(capture);
+            if (face) faces.push(face);
+        }
+        if (faces.length < this.minFaces) return false;
+
+        const image = await renderComposite(faces, this.size);
+        fs.mkdirSync(this.dir, { recursive: true });
+        const file = path.join(this.dir, `${day}.jpg`);
+        fs.writeFileSync(`${file}.tmp`, image);
+        fs.renameSync(`${file}.tmp`, file);
+        fs.writeFileSync(path.join(this.dir, `${day}.json`), JSON.stringify({
+            date: day,
+            faces: faces.length,
+            generatedAt: new Date().toISOString(),
+            captures: faces.map(face => face.id),
+            considered: captures.map(capture => capture.id)
+        }, null, 2));
+        console.log(`Composite for ${day} drawn from ${faces.length} face(s)`);
+        return true;
+    }
+
+    // { id, image, landmarks } of a capture, or null without an image or a full aligned mesh
+    loadFace(capture) {
+        const imageFile = capture.files.find(file => file === `${capture.id}.jpg`);
+        const landmarksFile = capture.files.find(file => file.endsWith('_landmarks.json'));
+        if (!imageFile || !landmarksFile) return null;
+        const landmarks = (readJsonFile(path.join(this.faceDir, landmarksFile)) || {}).aligned;
+        if (!Array.isArray(landmarks) || landmarks.length < MESH_POINTS) return null;
+        try {
+            return { id: capture.id, image: fs.readFileSync(path.join(this.faceDir, imageFile)), landmarks };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    read(day) {
+        return readJsonFile(path.join(this.dir, `${day}.json`));
+    }
+
+    remove(day) {
+        for (const extension of ['.jpg', '.json']) {
+            fs.rmSync(path.join(this.dir, `${day}${extension}`), { force: true });
+        }
+    }
+
+    // Composites on disk, newest first: [{ date, faces, generatedAt }]
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(file => DATE.test(path.basename(file, '.json')) && file.endsWith('.json'))
+            .map(file => this.read(path.basename(file, '.json')))
+            .filter(entry => entry && fs.existsSync(path.join(this.dir, `${entry.date}.jpg`)))
+            .map(({ date, faces, generatedAt }) => ({ date, faces, generatedAt }))
+            .sort((a, b) => (a.date < b.date ? 1 : -1));
+    }
+
+    // Path of a day's composite image, or null
+    file(day) {
+        if (!DATE.test(day)) return null;
+        const file = path.join(this.dir, `${day}.jpg`);
+        return fs.existsSync(file) ? file : null;
+    }
+}
+
+// GET /composites (the list) and /composites/:date (the JPEG). Unauthenticated: a composite
+// averages at least composites.minFaces visitors, and the kiosk shows it on the welcome screen.
+function createCompositesRouter({ composites }) {
+    const router = express.Router();
+
+    router.get('/composites', (req, res) => {
+        res.set('Cache-Control', 'no-cache');
+        res.json({
+            composites: composites.list().map(entry => ({ ...entry, url: `/composites/${entry.date}` }))
+        });
+    });
+
+    router.get('/composites/:date', (req, res) => {
+        if (!DATE.test(req.params.date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+        const file = composites.file(req.params.date);
+        if (!file) {
+            return res.status(404).json({ error: 'No composite for this date' });
+        }
+        // Today's is redrawn as visitors come in
+        res.set('Cache-Control', 'no-cache');
+        res.sendFile(file);
+    });
+
+    return router;
+}
+
+module.exports = { CompositeJob, createCompositesRouter };
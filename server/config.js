@@ -0,0 +1,254 @@
+// Config - Server settings, layered: defaults -> JSON file -> environment -> command line
+//
+// Every setting has a dotted key (`retention.maxAgeHours`); the JSON file uses the same
+// nesting, the command line takes `--retention.maxAgeHours 72` (or `=72`), and most
+// settings also have an environment variable. The file is `--config <file>`, CONFIG_FILE
+// or `mirror.config.json` next to server.js when it exists. Relative paths are resolved
+// against the server's directory. Everything is validated before the server starts; all
+// problems are reported together.
+
+const fs = require('fs');
+const path = require('path');
+
+const APP_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(APP_DIR, 'mirror.config.json');
+
+// key, environment variable, type, default, description (and limits)
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3001, description: 'HTTP port' },
+    { key: 'publicUrl', env: 'PUBLIC_URL', type: 'url', default: '', description: 'URL the kiosk page uses to reach this server (default: the page\'s own origin)' },
+    { key: 'paths.faceImages', env: 'FACE_DIR', type: 'path', default: 'face_images', description: 'Captured faces' },
+    { key: 'paths.database', env: 'DB_PATH', type: 'path', default: 'data/mirror.db', description: 'SQLite index' },
+    { key: 'paths.telemetry', env: 'TELEMETRY_DIR', type: 'path', default: 'telemetry', description: 'Per-frame telemetry files' },
+    { key: 'paths.printSpool', env: 'PRINT_SPOOL_DIR', type: 'path', default: 'print_spool', description: 'Reports waiting for the printer' },
+    { key: 'paths.logs', env: 'LOG_DIR', type: 'path', default: 'logs', description: 'Retention audit log' },
+    { key: 'paths.composites', env: 'COMPOSITES_DIR', type: 'path', default: 'composites', description: 'Daily average-face composites' },
+    { key: 'paths.exports', env: 'EXPORTS_DIR', type: 'path', default: 'exports', description: 'Default output of `node server.js export`' },
+    { key: 'upload.maxMegabytes', env: 'UPLOAD_MAX_MB', type: 'number', min: 0.1, max: 100, default: 10, description: 'Largest accepted capture upload' },
+    { key: 'upload.maxDimension', env: 'UPLOAD_MAX_DIMENSION', type: 'integer', min: 64, max: 16384, default: 4096, description: 'Widest or tallest accepted capture, in pixels' },
+    { key: 'upload.maxMegapixels', env: 'UPLOAD_MAX_MEGAPIXELS', type: 'number', min: 0.1, max: 268, default: 16, description: 'Largest accepted capture area, in megapixels' },
+    { key: 'upload.perIpPerMinute', env: 'UPLOAD_RATE_PER_IP', type: 'integer', min: 1, default: 30, description: 'Captures accepted per minute from one client IP' },
+    { key: 'upload.perSessionPerMinute', env: 'UPLOAD_RATE_PER_SESSION', type: 'integer', min: 1, default: 12, description: 'Captures accepted per minute for one session' },
+    { key: 'upload.lateCaptureHours', env: 'LATE_CAPTURE_HOURS', type: 'number', min: 0, default: 24, description: 'How long after it was taken the kiosk\'s offline queue may still deliver a capture' },
+    { key: 'capture.outputSize', env: 'CAPTURE_SIZE', type: 'integer', min: 64, max: 2048, default: 300, description: 'Width and height of the saved face crop, in pixels' },
+    { key: 'capture.jpegQuality', env: 'CAPTURE_JPEG_QUALITY', type: 'integer', min: 1, max: 100, default: 90, description: 'JPEG quality of the saved face crop' },
+    { key: 'capture.mode', env: 'CAPTURE_MODE', type: 'string', values: ['full', 'blurred', 'landmarks-only'], default: 'full', description: 'What a capture keeps of the face: full, blurred or landmarks-only (sessions may only be stricter)' },
+    { key: 'capture.analysisImages', env: 'CAPTURE_ANALYSIS_IMAGES', type: 'boolean', default: true, description: 'Also save each capture annotated with its landmarks and scores (_analysis.jpg)' },
+    { key: 'dedupe.maxDistance', env: 'DEDUPE_MAX_DISTANCE', type: 'integer', min: 0, max: 64, default: 6, description: 'Captures of a session whose perceptual hashes differ in at most this many of 64 bits are duplicates (0 = off)' },
+    { key: 'dedupe.windowSeconds', env: 'DEDUPE_WINDOW_SECONDS', type: 'number', min: 0, default: 2, description: 'How far apart in time two captures may be to count as duplicates' },
+    { key: 'dedupe.action', env: 'DEDUPE_ACTION', type: 'string', values: ['merge', 'reject'], default: 'merge', description: 'merge keeps the duplicate with the higher smiling score; reject refuses the new upload' },
+    { key: 'composites.enabled', env: 'COMPOSITES', type: 'boolean', default: true, description: 'Draw a daily average-face composite ("mirror memory") of the full captures' },
+    { key: 'composites.minFaces', env: 'COMPOSITE_MIN_FACES', type: 'integer', min: 2, default: 5, description: 'Fewest faces a composite is drawn from' },
+    { key: 'composites.maxFaces', env: 'COMPOSITE_MAX_FACES', type: 'integer', min: 2, default: 200, description: 'Most faces averaged into one composite (spread over the day)' },
+    { key: 'composites.size', env: 'COMPOSITE_SIZE', type: 'integer', min: 64, max: 2048, default: 400, description: 'Width and height of a composite, in pixels' },
+    { key: 'composites.intervalMinutes', env: 'COMPOSITE_INTERVAL_MINUTES', type: 'number', min: 0, default: 30, description: 'How often new captures are averaged in (0 = startup only)' },
+    { key: 'retention.maxAgeHours', env: 'RETENTION_MAX_AGE_HOURS', type: 'number', min: 0, default: 168, description: 'Delete captures older than this (0 = no limit)' },
+    { key: 'retention.maxCount', env: 'RETENTION_MAX_COUNT', type: 'integer', min: 0, default: 2000, description: 'Keep at most this many captures (0 = no limit)' },
+    { key: 'retention.maxMegabytes', env: 'RETENTION_MAX_MB', type: 'number', min: 0, default: 1024, description: 'Keep face images under this size (0 = no limit)' },
+    { key: 'retention.sweepIntervalMinutes', env: 'RETENTION_SWEEP_MINUTES', type: 'number', min: 0, default: 10, description: 'How often the retention sweeper runs (0 = startup only)' },
+    { key: 'admin.token', env: 'ADMIN_TOKEN', type: 'string', default: '', secret: true, description: 'Bearer token for scripts (random per run when neither this nor the password is set)' },
+    { key: 'admin.password', env: 'ADMIN_PASSWORD', type: 'string', default: '', secret: true, description: 'Password for the admin login form' },
+    { key: 'admin.loginAttemptsPerMinute', env: 'ADMIN_LOGIN_RATE', type: 'integer', min: 1, default: 5, description: 'Admin login attempts accepted per minute from one client IP' },
+    { key: 'kioskOrigins', env: 'KIOSK_ORIGINS', type: 'origins', default: [], description: 'Extra origins allowed to post captures, summaries, telemetry and events' },
+    { key: 'share.linkMinutes', env: 'SHARE_LINK_MINUTES', type: 'number', min: 1, default: 30, description: 'How long a take-home link works' },
+    { key: 'share.baseUrl', env: 'SHARE_BASE_URL', type: 'url', default: '', description: 'Base URL in take-home QR codes (default: this machine\'s LAN address)' },
+    { key: 'printReports', env: 'PRINT_REPORTS', type: 'boolean', default: true, description: 'Queue a printed report for every finished run' },
+    { key: 'exportKey', env: 'EXPORT_KEY', type: 'string', default: '', secret: true, description: 'Pseudonym key for research exports (default: generated into export.key next to the database)' },
+    { key: 'health.asrUrl', env: 'ASR_URL', type: 'url', protocols: ['ws:', 'wss:'], default: 'ws://localhost:8765', description: 'Speech recognition WebSocket checked by /health/ready (empty = not checked)' },
+    { key: 'health.heartbeatTimeoutSeconds', env: 'HEARTBEAT_TIMEOUT_SECONDS', type: 'number', min: 1, default: 30, description: 'The kiosk counts as down after this long without a heartbeat' },
+    { key: 'health.minFreeMegabytes', env: 'MIN_FREE_DISK_MB', type: 'number', min: 0, default: 500, description: 'Free disk space below which the server is not ready' }
+];
+
+const BY_KEY = new Map(SETTINGS.map(setting => [setting.key, setting]));
+
+// Turn one raw value (JSON value or a string from env/CLI) into the setting's type; returns
+// { value } or { error }
+function coerce(setting, raw, fromText) {
+    const fail = message => ({ error: `${setting.key}: ${message} (got ${JSON.stringify(raw)})` });
+
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            const value = fromText ? (raw.trim() === '' ? NaN : Number(raw)) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+            if (setting.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+            if (setting.min !== undefined && value < setting.min) return fail(`must be at least ${setting.min}`);
+            if (setting.max !== undefined && value > setting.max) return fail(`must be at most ${setting.max}`);
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = fromText ? raw.trim().toLowerCase() : null;
+            if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+            return fail('must be true or false');
+        }
+        case 'string':
+        case 'path':
+            if (typeof raw !== 'string') return fail('must be a string');
+            if (setting.type === 'path' && raw.trim() === '') return fail('must not be empty');
+            if (setting.values && !setting.values.includes(raw)) return fail(`must be one of ${setting.values.join(', ')}`);
+            return { value: setting.type === 'path' ? path.resolve(APP_DIR, raw) : raw };
+        case 'url': {
+            const protocols = setting.protocols || ['http:', 'https:'];
+            const expected = `must be an absolute ${protocols.map(protocol => protocol.slice(0, -1)).join('/')} URL`;
+            if (typeof raw !== 'string') return fail('must be a string');
+            if (raw === '') return { value: '' };
+            let url;
+            try {
+                url = new URL(raw);
+            } catch (error) {
+                return fail(expected);
+            }
+            if (!protocols.includes(url.protocol)) return fail(expected);
+            return { value: raw.replace(/\/+$/, '') };
+        }
+        case 'origins': {
+            const list = fromText ? raw.split(',').map(origin => origin.trim()).filter(Boolean) : raw;
+            if (!Array.isArray(list) || !list.every(origin => typeof origin === 'string')) return fail('must be a list of origins');
+            for (const origin of list) {
+                let url;
+                try {
+                    url = new URL(origin);
+                } catch (error) {
+                    return fail('must be origins like https://kiosk.example');
+                }
+                if (url.origin !== origin.replace(/\/+$/, '')) return fail('must be origins like https://kiosk.example');
+            }
+            return { value: list.map(origin => origin.replace(/\/+$/, '')) };
+        }
+        default:
+            throw new Error(`Unknown setting type ${setting.type}`);
+    }
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    let node = target;
+    for (const part of parts.slice(0, -1)) node = node[part] = node[part] || {};
+    node[parts[parts.length - 1]] = value;
+}
+
+// Nested JSON object -> { 'dotted.key': value }
+function flatten(object, prefix, out, errors) {
+    for (const [name, value] of Object.entries(object)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (BY_KEY.has(key)) {
+            out[key] = value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+            SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+            flatten(value, key, out, errors);
+        } else {
+            errors.push(`${key}: unknown setting`);
+        }
+    }
+    return out;
+}
+
+// `--key value`, `--key=value`; `--config` and `--help` are handled by loadConfig
+function parseFlags(argv, errors) {
+    const flags = {};
+    for (let index = 0; index < argv.length; index++) {
+        const match = /^--([A-Za-z][\w.]*)(?:=(.*))?$/s.exec(argv[index]);
+        if (!match) {
+            errors.push(`Unexpected argument: ${argv[index]}`);
+            continue;
+        }
+        const [, key, inline] = match;
+        if (key === 'help') {
+            flags.help = true;
+            continue;
+        }
+        const value = inline !== undefined ? inline : argv[index + 1];
+        if (inline === undefined) index++;
+        if (value === undefined) {
+            errors.push(`--${key} needs a value`);
+        } else if (key !== 'config' && !BY_KEY.has(key)) {
+            errors.push(`--${key}: unknown setting`);
+        } else {
+            flags[key] = value;
+        }
+    }
+    return flags;
+}
+
+// Returns the settings as a nested object ({ port, paths: { faceImages, ... }, ... }) plus
+// `configFile` (null if none) and `sources` ({ 'dotted.key': 'default'|'file'|'env'|'cli' }).
+// Throws one error listing every problem. `help: true` means the caller should print usage().
+function loadConfig({ argv = [], env = process.env } = {}) {
+    const errors = [];
+    const flags = parseFlags(argv, errors);
+
+    const explicitFile = flags.config || env.CONFIG_FILE;
+    const configFile = explicitFile ? path.resolve(explicitFile) : (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    let fromFile = {};
+    if (configFile) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('must contain a JSON object');
+            fromFile = flatten(parsed, '', {}, errors);
+        } catch (error) {
+            errors.push(`Config file ${configFile}: ${error.message}`);
+        }
+    }
+
+    const config = { configFile, sources: {}, help: flags.help === true };
+    for (const setting of SETTINGS) {
+        let value = setting.default;
+        let source = 'default';
+        const layers = [
+            ['file', fromFile[setting.key], false],
+            ['env', env[setting.env], true],
+            ['cli', flags[setting.key], true]
+        ];
+        for (const [layer, raw, fromText] of layers) {
+            if (raw === undefined || (layer === 'env' && raw === '')) continue;
+            const result = coerce(setting, raw, fromText);
+            if (result.error) {
+                errors.push(`${result.error} from ${layer === 'env' ? setting.env : layer === 'cli' ? `--${setting.key}` : 'config file'}`);
+                continue;
+            }
+            value = result.value;
+            source = layer;
+        }
+        if (setting.type === 'path' && source === 'default') value = path.resolve(APP_DIR, value);
+        setPath(config, setting.key, value);
+        config.sources[setting.key] = source;
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+}
+
+// `node server.js --help`
+function usage() {
+    const lines = SETTINGS.map(setting => {
+        const fallback = Array.isArray(setting.default) ? setting.default.join(',') : String(setting.default);
+        return `  --${setting.key.padEnd(32)} ${(setting.env || '').padEnd(24)} ${setting.description}${fallback ? ` [${fallback}]` : ''}`;
+    });
+    return [
+        'Usage: node server.js [--config FILE] [--<setting> VALUE ...]',
+        '       node server.js export --help',
+        '       node server.js analysis --help',
+        '',
+        `Settings (command line, environment variable, meaning [default]); the JSON config file`,
+        `(CONFIG_FILE, default ${path.relative(process.cwd(), DEFAULT_CONFIG_FILE) || DEFAULT_CONFIG_FILE}) nests the same keys:`,
+        ...lines
+    ].join('\n');
+}
+
+// Settings with secrets blanked, for logging
+function redact(config) {
+    const copy = JSON.parse(JSON.stringify(config));
+    for (const setting of SETTINGS) {
+        if (!setting.secret) continue;
+        const parts = setting.key.split('.');
+        const parent = parts.slice(0, -1).reduce((node, part) => node[part], copy);
+        if (parent[parts[parts.length - 1]]) parent[parts[parts.length - 1]] = '(set)';
+    }
+    return copy;
+}
+
+module.exports = { loadConfig, usage, redact, SETTINGS };
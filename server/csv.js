@@ -0,0 +1,13 @@
+// CSV - RFC 4180 cells and lines (CRLF line ends, quotes doubled)
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(csvCell).join(',') + '\r\n';
+}
+
+module.exports = { csvCell, csvLine };
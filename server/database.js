@@ -0,0 +1,118 @@
+// Database - Embedded SQLite index of sessions, captures, scenario results and telemetry
+//
+// The files in face_images/ and telemetry/ stay the source of truth for what exists; the
+// database indexes them (and holds what has no file of its own, like session outcomes) so
+// listings don't have to scan and stat the directories. Schema changes are applied in order
+// and tracked with PRAGMA user_version.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS = [
+    `CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        consent INTEGER NOT NULL DEFAULT 0,
+        consent_at TEXT,
+        verdict TEXT,
+        final_metrics TEXT,
+        final_balance REAL,
+        summary_at TEXT
+    );
+    CREATE INDEX sessions_started_at ON sessions (started_at);
+
+    CREATE TABLE captures (
+        id TEXT PRIMARY KEY,
+        session_id TEXT REFERENCES sessions (id) ON DELETE CASCADE,
+        filename TEXT,
+        captured_at INTEGER NOT NULL,
+        bytes INTEGER NOT NULL DEFAULT 0,
+        files TEXT NOT NULL,
+        metrics TEXT,
+        selection TEXT,
+        alignment TEXT
+    );
+    CREATE INDEX captures_captured_at ON captures (captured_at, id);
+    CREATE INDEX captures_session ON captures (session_id, captured_at);
+
+    CREATE TABLE scenario_results (
+        session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        scenario_id TEXT,
+        smiling_score REAL,
+        charge_amount REAL NOT NULL,
+        balance_before REAL,
+        balance_after REAL,
+        PRIMARY KEY (session_id, position)
+    );
+
+    CREATE TABLE telemetry (
+        session_id TEXT PRIMARY KEY REFERENCES sessions (id) ON DELETE CASCADE,
+        path TEXT NOT NULL,
+        frames INTEGER NOT NULL DEFAULT 0,
+        first_at INTEGER,
+        last_at INTEGER
+    );`,
+
+    // Kiosk funnel events and how each scenario's smile was judged
+    `CREATE TABLE events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT REFERENCES sessions (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        at INTEGER NOT NULL,
+        detail TEXT
+    );
+    CREATE INDEX events_kind_at ON events (kind, at);
+    CREATE INDEX events_session ON events (session_id);
+
+    ALTER TABLE scenario_results ADD COLUMN facial_symmetry REAL;
+    ALTER TABLE scenario_results ADD COLUMN joy_detection REAL;
+    ALTER TABLE scenario_results ADD COLUMN outcome TEXT;
+    ALTER TABLE scenario_results ADD COLUMN threshold_tier TEXT;
+    ALTER TABLE scenario_results ADD COLUMN thresholds TEXT;`,
+
+    // What each session and capture kept of the face (see captureMode.js); null rows predate modes
+    `ALTER TABLE sessions ADD COLUMN capture_mode TEXT;
+    ALTER TABLE captures ADD COLUMN capture_mode TEXT;`,
+
+    // Perceptual hash of the stored image and the near-duplicates it replaced (see captureDedupe.js)
+    `ALTER TABLE captures ADD COLUMN perceptual_hash TEXT;
+    ALTER TABLE captures ADD COLUMN supersedes TEXT;`
+];
+
+// The user_version of a fully migrated database
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+function openDatabase(filename) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const version = db.pragma('user_version', { simple: true });
+    for (let index = version; index < MIGRATIONS.length; index++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[index]);
+            db.pragma(`user_version = ${index + 1}`);
+        })();
+    }
+    return db;
+}
+
+// JSON column helpers (NULL <-> null)
+function toJson(value) {
+    return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function fromJson(text) {
+    if (text === null || text === undefined) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { openDatabase, toJson, fromJson, SCHEMA_VERSION };
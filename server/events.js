@@ -0,0 +1,148 @@
+// Events - The kiosk's funnel events, for the analytics dashboard
+//
+// The kiosk posts { sessionId, kind, detail } as a visitor moves through the run. `welcome`
+// (a face appeared at the welcome screen) comes before there is a session; the claim itself is
+// the session row. `scenario_result` also fills in the scenario's row in scenario_results.
+
+const express = require('express');
+
+const { toJson } = require('./database');
+
+const ENDINGS = ['failure', 'verdict', 'final_rejection', 'game_over'];
+const STAGES = ['welcome', 'verification', 'game', 'ending'];
+const OUTCOMES = ['genuine', 'polite', 'no_smile'];
+const THRESHOLD_TIERS = ['base', 'raised'];
+const THRESHOLD_FIELDS = ['smileScore', 'symmetry', 'joy', 'smileDetected'];
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function oneOf(value, allowed, name) {
+    if (!allowed.includes(value)) throw badRequest(`${name} must be one of ${allowed.join(', ')}`);
+    return value;
+}
+
+function score(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+        throw badRequest(`${name} must be a number between 0 and 100`);
+    }
+    return value;
+}
+
+function points(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw badRequest(`${name} must be a number`);
+    return value;
+}
+
+function scenarioId(value) {
+    if (typeof value !== 'string' || value === '' || value.length > 64) {
+        throw badRequest('detail.scenarioId must be a string of at most 64 characters');
+    }
+    return value;
+}
+
+function position(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 99) {
+        throw badRequest('detail.position must be an integer between 0 and 99');
+    }
+    return value;
+}
+
+// Validate one event's detail; returns the normalized detail (null for kinds without one)
+const KINDS = {
+    welcome: () => null,
+    attempt: detail => ({ level: oneOf(detail.level, [1, 2], 'detail.level') }),
+    scenario_start: detail => ({ scenarioId: scenarioId(detail.scenarioId), position: position(detail.position) }),
+    scenario_result: detail => {
+        const thresholds = detail.thresholds;
+        if (!thresholds || typeof thresholds !== 'object') throw badRequest('detail.thresholds is required');
+        return {
+            scenarioId: scenarioId(detail.scenarioId),
+            position: position(detail.position),
+            smilingScore: score(detail.smilingScore, 'detail.smilingScore'),
+            facialSymmetry: score(detail.facialSymmetry, 'detail.facialSymmetry'),
+            joyDetection: score(detail.joyDetection, 'detail.joyDetection'),
+            chargeAmount: points(detail.chargeAmount, 'detail.chargeAmount'),
+            balanceBefore: points(detail.balanceBefore, 'detail.balanceBefore'),
+            balanceAfter: points(detail.balanceAfter, 'detail.balanceAfter'),
+            outcome: oneOf(detail.outcome, OUTCOMES, 'detail.outcome'),
+            thresholdTier: oneOf(detail.thresholdTier, THRESHOLD_TIERS, 'detail.thresholdTier'),
+            thresholds: Object.fromEntries(THRESHOLD_FIELDS.map(field =>
+                [field, score(thresholds[field], `detail.thresholds.${field}`)]))
+        };
+    },
+    ending: detail => ({ kind: oneOf(detail.kind, ENDINGS, 'detail.kind') }),
+    face_absence_restart: detail => ({ stage: oneOf(detail.stage, STAGES, 'detail.stage') })
+};
+
+// Kinds that may arrive without a session
+const SESSIONLESS = ['welcome', 'face_absence_restart'];
+
+function parseEvent(body) {
+    const { sessionId, kind, detail } = body || {};
+
+    if (!Object.prototype.hasOwnProperty.call(KINDS, kind)) {
+        throw badRequest(`kind must be one of ${Object.keys(KINDS).join(', ')}`);
+    }
+    if (sessionId !== null && sessionId !== undefined && (typeof sessionId !== 'string' || sessionId === '')) {
+        throw badRequest('sessionId must be a string');
+    }
+    if (!sessionId && !SESSIONLESS.includes(kind)) {
+        throw badRequest(`sessionId is required for ${kind} events`);
+    }
+    if (detail !== null && detail !== undefined && (typeof detail !== 'object' || Array.isArray(detail))) {
+        throw badRequest('detail must be an object');
+    }
+
+    return { sessionId: sessionId || null, kind, detail: KINDS[kind](detail || {}) };
+}
+
+class EventLog {
+    // onRecord(event) is told about every event stored (for /metrics)
+    constructor({ db, onRecord = () => {} }) {
+        this.onRecord = onRecord;
+        this.statements = {
+            insert: db.prepare(`INSERT INTO events (session_id, kind, at, detail)
+                VALUES (@sessionId, @kind, @at, @detail)`)
+        };
+    }
+
+    record({ sessionId, kind, detail }, at = Date.now()) {
+        this.statements.insert.run({ sessionId, kind, at, detail: toJson(detail) });
+        this.onRecord({ sessionId, kind, at, detail });
+    }
+}
+
+function createEventsRouter({ sessions, eventLog, requireKioskOrigin }) {
+    const router = express.Router();
+
+    router.post('/events', requireKioskOrigin, (req, res) => {
+        let event;
+        try {
+            event = parseEvent(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (event.sessionId && !sessions.get(event.sessionId)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        try {
+            eventLog.record(event);
+            if (event.kind === 'scenario_result') {
+                const { position: resultPosition, ...result } = event.detail;
+                sessions.recordScenarioResult(event.sessionId, resultPosition, result);
+            }
+            res.status(202).json({ kind: event.kind });
+        } catch (error) {
+            console.error('Error storing event:', error);
+            res.status(500).json({ error: 'Failed to store event' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { EventLog, createEventsRouter, ENDINGS, STAGES, OUTCOMES };
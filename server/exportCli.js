@@ -0,0 +1,148 @@
+// Export CLI - `node server.js export`: write the research tables to a directory
+//
+// Reads the same database, telemetry/ and face_images/ as the server (safe while it runs)
+// and writes frames.<format>, scenarios.<format> and, with --landmarks, landmarks.<format>.
+// --images also copies the face images, named by their pseudonyms. Paths and the key come
+// from the server's config file and environment (see config.js).
+
+const fs = require('fs');
+const path = require('path');
+
+const { openDatabase } = require('./database');
+const { ResearchExport, FORMATS, parseRange, loadExportKey } = require('./researchExport');
+const { TelemetryStore } = require('./telemetryStore');
+
+const USAGE = `Usage: node server.js export [options]
+
+  --from DATE         First session start to include (ISO date/time or epoch ms; default: all)
+  --to DATE           Last session start to include (a plain date includes that whole day)
+  --format FORMAT     csv (default) or jsonl
+  --out DIR           Output directory (default: exports/research_<timestamp>); must be new or empty
+  --landmarks         Also write landmarks.<format> (one row per landmark point)
+  --images            Also copy the face images (excluded by default)
+  --help              Show this help`;
+
+const VALUE_OPTIONS = ['from', 'to', 'format', 'out'];
+const FLAG_OPTIONS = ['landmarks', 'images', 'help'];
+const WRITE_CHUNK_BYTES = 64 * 1024;
+
+// --name value / --name=value / --flag
+function parseArgs(args) {
+    const options = { format: 'csv', landmarks: false, images: false, help: false };
+    for (let index = 0; index < args.length; index++) {
+        const match = /^--([a-z]+)(?:=(.*))?$/s.exec(args[index]);
+        if (!match) throw new Error(`Unexpected argument: ${args[index]}`);
+
+        const [, name, inline] = match;
+        if (FLAG_OPTIONS.includes(name) && inline === undefined) {
+            options[name] = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            const value = inline !== undefined ? inline : args[++index];
+            if (value === undefined || value.startsWith('--')) throw new Error(`--${name} needs a value`);
+            options[name] = value;
+        } else {
+            throw new Error(`Unknown option: --${name}`);
+        }
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    return options;
+}
+
+// Write one table to `file`; returns the number of rows
+function writeTable(researchExport, table, format, range, file) {
+    const fd = fs.openSync(file, 'w');
+    let rows = format === 'csv' ? -1 : 0; // The CSV header is a line too
+    let chunk = '';
+    try {
+        for (const line of researchExport.lines(table, format, range)) {
+            rows++;
+            chunk += line;
+            if (chunk.length >= WRITE_CHUNK_BYTES) {
+                fs.writeSync(fd, chunk);
+                chunk = '';
+            }
+        }
+        if (chunk) fs.writeSync(fd, chunk);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return rows;
+}
+
+// Copy each capture's image to images/<session>_<capture><ext>; returns the number copied
+function copyImages(researchExport, range, faceDir, outDir) {
+    const imageDir = path.join(outDir, 'images');
+    fs.mkdirSync(imageDir, { recursive: true });
+    let copied = 0;
+    for (const sessionId of researchExport.sessionIds(range)) {
+        const session = researchExport.pseudonym('s', sessionId);
+        for (const capture of researchExport.captures(sessionId)) {
+            if (!capture.imageAllowed) continue;
+            const image = capture.files.find(file => /\.(jpe?g|png|webp)$/i.test(file) && file.startsWith(`${capture.id}.`));
+            if (!image) continue;
+            try {
+                fs.copyFileSync(path.join(faceDir, image), path.join(imageDir, `${session}_${capture.pseudonym}${path.extname(image)}`));
+                copied++;
+            } catch (error) {
+                console.error(`Skipped ${image}: ${error.message}`);
+            }
+        }
+    }
+    return copied;
+}
+
+// Returns the process exit code
+function runExportCli(args, { dbPath, telemetryDir, faceDir, keyFile, exportKey, exportsDir, captureMode }) {
+    let options;
+    let range;
+    try {
+        options = parseArgs(args);
+        range = parseRange(options);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const outDir = path.resolve(options.out ||
+        path.join(exportsDir, `research_${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`));
+    if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+        console.error(`Output directory is not empty: ${outDir}`);
+        return 1;
+    }
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const db = openDatabase(dbPath);
+    try {
+        const researchExport = new ResearchExport({
+            db,
+            telemetryStore: new TelemetryStore({ dir: telemetryDir, db }),
+            faceDir,
+            key: loadExportKey(keyFile, exportKey),
+            captureMode
+        });
+
+        const tables = ['frames', 'scenarios', ...(options.landmarks ? ['landmarks'] : [])];
+        console.log(`Exporting sessions started ${range.from || 'any time'} – ${range.to || 'now'} to ${outDir}`);
+        for (const table of tables) {
+            const file = path.join(outDir, `${table}.${options.format}`);
+            console.log(`  ${path.basename(file)}: ${writeTable(researchExport, table, options.format, range, file)} row(s)`);
+        }
+        if (options.images) {
+            console.log(`  images/: ${copyImages(researchExport, range, faceDir, outDir)} image(s)`);
+        }
+        return 0;
+    } catch (error) {
+        console.error('Export failed:', error);
+        return 1;
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = { runExportCli };
@@ -0,0 +1,231 @@
+// Face Crop - Aligns and crops a single face out of a full webcam frame
+//
+// The kiosk sends the raw frame together with the MediaPipe landmarks and the
+// smoothed face box it measured. We level the eye line, crop a padded square
+// around the face and re-project the landmarks into the cropped image so the
+// stored geometry lines up with the stored pixels.
+
+const sharp = require('sharp');
+
+const OUTPUT_SIZE = 300;         // Defaults; the server passes capture.outputSize / capture.jpegQuality
+const JPEG_QUALITY = 90;
+const PADDING = 0.35;            // Extra margin around the face, as a fraction of face size
+const MAX_ALIGN_ANGLE = 45;      // Beyond this the eye line is probably wrong; don't rotate
+const BACKGROUND = { r: 0, g: 0, b: 0, alpha: 1 };
+
+// MediaPipe Face Mesh eye corners (same indices the front end uses)
+const EYE_A_OUTER = 33;
+const EYE_A_INNER = 133;
+const EYE_B_OUTER = 263;
+const EYE_B_INNER = 362;
+
+const MIN_LANDMARKS = 468;
+
+// Normalise a landmark to [x, y, z]; the client sends arrays but accept {x, y, z} too
+function toPoint(landmark) {
+    if (Array.isArray(landmark)) {
+        return [Number(landmark[0]), Number(landmark[1]), Number(landmark[2]) || 0];
+    }
+    if (landmark && typeof landmark === 'object') {
+        return [Number(landmark.x), Number(landmark.y), Number(landmark.z) || 0];
+    }
+    return [NaN, NaN, 0];
+}
+
+// Validate and normalise the landmark array; returns null when it isn't a full mesh
+function normaliseLandmarks(landmarks) {
+    if (!Array.isArray(landmarks) || landmarks.length < MIN_LANDMARKS) return null;
+    const points = landmarks.map(toPoint);
+    if (points.some(p => !Number.isFinite(p[0]) || !Number.isFinite(p[1]))) return null;
+    return points;
+}
+
+// Validate the client's face box ({x, y} is the box centre, as in DigitalMirror.faceBoundingBox)
+function normaliseBox(box) {
+    if (!box || typeof box !== 'object') return null;
+    const x = Number(box.x);
+    const y = Number(box.y);
+    const width = Number(box.width);
+    const height = Number(box.height);
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) return null;
+    return { x, y, width, height };
+}
+
+function midpoint(a, b) {
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+}
+
+// Angle of the eye line in degrees (positive = tilted clockwise in image space)
+function eyeLineAngle(landmarks) {
+    const eyeA = midpoint(landmarks[EYE_A_OUTER], landmarks[EYE_A_INNER]);
+    const eyeB = midpoint(landmarks[EYE_B_OUTER], landmarks[EYE_B_INNER]);
+
+    // Whichever eye sits further left in the image is the start of the line
+    const [left, right] = eyeA[0] <= eyeB[0] ? [eyeA, eyeB] : [eyeB, eyeA];
+    const angle = Math.atan2(right[1] - left[1], right[0] - left[0]) * 180 / Math.PI;
+
+    return Math.abs(angle) > MAX_ALIGN_ANGLE ? 0 : angle;
+}
+
+// Bounding box {minX, minY, maxX, maxY} of a set of points
+function extent(points) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys)
+    };
+}
+
+// Map a point through sharp's rotate(): rotation about the image centre,
+// with the output canvas grown to fit the rotated frame
+function rotatePoint(point, degrees, from, to) {
+    const t = degrees * Math.PI / 180;
+    const cos = Math.cos(t);
+    const sin = Math.sin(t);
+    const dx = point[0] - from.width / 2;
+    const dy = point[1] - from.height / 2;
+    return [
+        dx * cos - dy * sin + to.width / 2,
+        dx * sin + dy * cos + to.height / 2,
+        point[2]
+    ];
+}
+
+// Raw-pixel input descriptor for a buffer produced by toBuffer({ resolveWithObject: true })
+function rawInput(info) {
+    return { raw: { width: info.width, height: info.height, channels: info.channels } };
+}
+
+// Crop a square region that may extend past the image edges, padding with background
+async function extractSquare(buffer, info, left, top, side) {
+    const srcLeft = Math.max(0, left);
+    const srcTop = Math.max(0, top);
+    const srcRight = Math.min(info.width, left + side);
+    const srcBottom = Math.min(info.height, top + side);
+
+    if (srcRight <= srcLeft || srcBottom <= srcTop) {
+        throw new Error('Face region lies outside the captured frame');
+    }
+
+    const extracted = await sharp(buffer, rawInput(info))
+        .extract({ left: srcLeft, top: srcTop, width: srcRight - srcLeft, height: srcBottom - srcTop })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return sharp(extracted.data, rawInput(extracted.info))
+        .extend({
+            top: srcTop - top,
+            left: srcLeft - left,
+            bottom: top + side - srcBottom,
+            right: left + side - srcRight,
+            background: BACKGROUND
+        });
+}
+
+// Crop and align the face in `imageBuffer`.
+// Returns { image, landmarks, alignment } where `landmarks` are in output-image pixels
+// (null when the client didn't send a full mesh) and `alignment` records how we got there.
+async function cropFace(imageBuffer, {
+    landmarks: rawLandmarks,
+    faceBoundingBox,
+    outputSize = OUTPUT_SIZE,
+    jpegQuality = JPEG_QUALITY,
+    limitInputPixels = true // sharp's default limit; a number sets our own
+} = {}) {
+    const landmarks = normaliseLandmarks(rawLandmarks);
+    const box = normaliseBox(faceBoundingBox);
+
+    const frame = await sharp(imageBuffer, { limitInputPixels })
+        .rotate() // Honour EXIF orientation before we touch coordinates
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const frameSize = { width: frame.info.width, height: frame.info.height };
+
+    // Nothing to align against: keep the old whole-frame behaviour
+    if (!landmarks && !box) {
+        const image = await sharp(frame.data, rawInput(frame.info))
+            .resize(outputSize, outputSize, { fit: 'cover' })
+            .jpeg({ quality: jpegQuality })
+            .toBuffer();
+        return {
+            image,
+            landmarks: null,
+            alignment: { method: 'full-frame', frame: frameSize, angle: 0, crop: null, outputSize }
+        };
+    }
+
+    const angle = landmarks ? eyeLineAngle(landmarks) : 0;
+
+    // Level the eye line (rotate counter-clockwise by the measured tilt)
+    let rotated = frame;
+    if (Math.abs(angle) >= 0.5) {
+        rotated = await sharp(frame.data, rawInput(frame.info))
+            .rotate(-angle, { background: BACKGROUND })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+    }
+    const rotatedSize = { width: rotated.info.width, height: rotated.info.height };
+    const appliedAngle = rotated === frame ? 0 : angle;
+
+    // Face extent in the levelled frame: landmarks are the most accurate, the box is the fallback
+    let faceExtent;
+    let rotatedLandmarks = null;
+    if (landmarks) {
+        rotatedLandmarks = appliedAngle
+            ? landmarks.map(p => rotatePoint(p, -appliedAngle, frameSize, rotatedSize))
+            : landmarks;
+        faceExtent = extent(rotatedLandmarks);
+    } else {
+        faceExtent = {
+            minX: box.x - box.width / 2,
+            minY: box.y - box.height / 2,
+            maxX: box.x + box.width / 2,
+            maxY: box.y + box.height / 2
+        };
+    }
+
+    const faceSize = Math.max(faceExtent.maxX - faceExtent.minX, faceExtent.maxY - faceExtent.minY);
+    const side = Math.max(1, Math.round(faceSize * (1 + PADDING * 2)));
+    const centerX = (faceExtent.minX + faceExtent.maxX) / 2;
+    const centerY = (faceExtent.minY + faceExtent.maxY) / 2;
+    const left = Math.round(centerX - side / 2);
+    const top = Math.round(centerY - side / 2);
+
+    const square = await extractSquare(rotated.data, rotated.info, left, top, side);
+    const image = await square
+        .resize(outputSize, outputSize)
+        .jpeg({ quality: jpegQuality })
+        .toBuffer();
+
+    const scale = outputSize / side;
+    const croppedLandmarks = rotatedLandmarks
+        ? rotatedLandmarks.map(p => [
+            +((p[0] - left) * scale).toFixed(2),
+            +((p[1] - top) * scale).toFixed(2),
+            +(p[2] * scale).toFixed(3)
+        ])
+        : null;
+
+    return {
+        image,
+        landmarks: croppedLandmarks,
+        alignment: {
+            method: landmarks ? 'landmarks' : 'bounding-box',
+            frame: frameSize,
+            angle: +appliedAngle.toFixed(2),
+            crop: { left, top, size: side, rotatedFrame: rotatedSize },
+            outputSize
+        }
+    };
+}
+
+module.exports = {
+    OUTPUT_SIZE,
+    cropFace,
+    normaliseLandmarks,
+    normaliseBox
+};
@@ -0,0 +1,256 @@
+// Health - Liveness, readiness and the kiosk's heartbeat
+//
+//   /health/live   the process is up and serving requests
+//   /health/ready  everything a visitor needs works: face_images/ is writable, there is disk space,
+//                  the database answers, the speech recognition WebSocket accepts connections and the
+//                  kiosk sent a heartbeat recently with its face model loaded (503 otherwise)
+//
+// The kiosk posts { fps, detectionMs, modelLoaded, phase, asrConnected } every few seconds; only
+// the latest heartbeat is kept, in memory.
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const { SCHEMA_VERSION } = require('./database');
+const { STAGES } = require('./events');
+
+const ASR_TIMEOUT_MS = 2000;
+const MB = 1024 * 1024;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseHeartbeat(body) {
+    const { fps, detectionMs = null, modelLoaded, phase, asrConnected = null } = body || {};
+    if (typeof fps !== 'number' || !Number.isFinite(fps) || fps < 0 || fps > 1000) {
+        throw badRequest('fps must be a number between 0 and 1000');
+    }
+    if (detectionMs !== null && (typeof detectionMs !== 'number' || !Number.isFinite(detectionMs) ||
+        detectionMs < 0 || detectionMs > 60000)) {
+        throw badRequest('detectionMs must be null or a number between 0 and 60000');
+    }
+    if (typeof modelLoaded !== 'boolean') {
+        throw badRequest('modelLoaded must be true or false');
+    }
+    if (!STAGES.includes(phase)) {
+        throw badRequest(`phase must be one of ${STAGES.join(', ')}`);
+    }
+    if (asrConnected !== null && typeof asrConnected !== 'boolean') {
+        throw badRequest('asrConnected must be true, false or null');
+    }
+    return {
+        fps: Math.round(fps * 10) / 10,
+        detectionMs: detectionMs === null ? null : Math.round(detectionMs * 10) / 10,
+        modelLoaded,
+        phase,
+        asrConnected
+    };
+}
+
+// Resolves once a WebSocket handshake with `url` succeeds; rejects on refusal, a non-101 answer or timeout
+function probeWebSocket(url, timeoutMs = ASR_TIMEOUT_MS) {
+    const target = new URL(url);
+    const client = target.protocol === 'wss:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = client.request({
+            hostname: target.hostname,
+            port: target.port || (target.protocol === 'wss:' ? 443 : 80),
+            path: `${target.pathname}${target.search}`,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+            },
+            timeout: timeoutMs
+        });
+        request.on('upgrade', (response, socket) => {
+            socket.destroy();
+            resolve();
+        });
+        request.on('response', response => {
+            response.resume();
+            reject(new Error(`Answered HTTP ${response.statusCode} instead of a WebSocket upgrade`));
+        });
+        request.on('timeout', () => request.destroy(new Error(`No answer within ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+class HealthChecks {
+    // onHeartbeat(heartbeat) is told about every heartbeat received (for /metrics)
+    constructor({ db, faceDir, asrUrl, heartbeatTimeoutSeconds, minFreeMegabytes, onHeartbeat = () => {} }) {
+        this.db = db;
+        this.faceDir = faceDir;
+        this.asrUrl = asrUrl;
+        this.heartbeatTimeoutMs = heartbeatTimeoutSeconds * 1000;
+        this.minFreeMegabytes = minFreeMegabytes;
+        this.heartbeat = null; // Latest kiosk heartbeat, with receivedAt (ms) and origin
+        this.startedAt = Date.now();
+        this.onHeartbeat = onHeartbeat;
+    }
+
+    recordHeartbeat(heartbeat, origin) {
+        this.heartbeat = { ...heartbeat, origin: origin || null, receivedAt: Date.now() };
+        this.onHeartbeat(heartbeat);
+    }
+
+    // Model state as the kiosk last reported it (null before the first heartbeat)
+    modelLoaded() {
+        return this.heartbeat ? this.heartbeat.modelLoaded : null;
+    }
+
+    live() {
+        return {
+            status: 'ok',
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // { ready, checks: { name: { status: 'ok'|'fail'|'skipped', ... } } }
+    async ready() {
+        const checks = {
+            storage: this.checkStorage(),
+            disk: this.checkDisk(),
+            database: this.checkDatabase(),
+            asr: await this.checkAsr(),
+            kiosk: this.checkKiosk()
+        };
+        return {
+            ready: Object.values(checks).every(check => check.status !== 'fail'),
+            checks,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Write and remove a probe file where captures go
+    checkStorage() {
+        const probe = path.join(this.faceDir, `.health_${process.pid}`);
+        try {
+            fs.mkdirSync(this.faceDir, { recursive: true });
+            fs.writeFileSync(probe, 'ok');
+            fs.unlinkSync(probe);
+            return { status: 'ok', path: this.faceDir };
+        } catch (error) {
+            return { status: 'fail', path: this.faceDir, error: error.message };
+        }
+    }
+
+    checkDisk() {
+        try {
+            const stats = fs.statfsSync(this.faceDir);
+            const freeMegabytes = Math.round(stats.bavail * stats.bsize / MB);
+            const enough = freeMegabytes >= this.minFreeMegabytes;
+            return {
+                status: enough ? 'ok' : 'fail',
+                ...(!enough && { error: `Only ${freeMegabytes} MB free` }),
+                freeMegabytes,
+                totalMegabytes: Math.round(stats.blocks * stats.bsize / MB),
+                minFreeMegabytes: this.minFreeMegabytes
+            };
+        } catch (error) {
+            return { status: 'fail', error: error.message };
+        }
+    }
+
+    checkDatabase() {
+        try {
+            const schemaVersion = this.db.pragma('user_version', { simple: true });
+            const sessions = this.db.prepare('SELECT COUNT(*) AS count FROM sessions').get().count;
+            const current = schemaVersion === SCHEMA_VERSION;
+            return {
+                status: current ? 'ok' : 'fail',
+                ...(!current && { error: `Schema version ${schemaVersion}, expected ${SCHEMA_VERSION}` }),
+                schemaVersion,
+                expectedSchemaVersion: SCHEMA_VERSION,
+                sessions
+            };
+        } catch (error) {
+            return { status: 'fail', error: error.message };
+        }
+    }
+
+    async checkAsr() {
+        if (!this.asrUrl) return { status: 'skipped' };
+        const started = Date.now();
+        try {
+            await probeWebSocket(this.asrUrl);
+            return { status: 'ok', url: this.asrUrl, latencyMs: Date.now() - started };
+        } catch (error) {
+            return { status: 'fail', url: this.asrUrl, error: error.message || error.code };
+        }
+    }
+
+    checkKiosk() {
+        if (!this.heartbeat) {
+            return { status: 'fail', error: 'No heartbeat since the server started' };
+        }
+        const { receivedAt, ...heartbeat } = this.heartbeat;
+        const ageSeconds = Math.round((Date.now() - receivedAt) / 1000);
+        let error = null;
+        if (Date.now() - receivedAt > this.heartbeatTimeoutMs) {
+            error = `No heartbeat for ${ageSeconds}s`;
+        } else if (!heartbeat.modelLoaded) {
+            error = 'Face model not loaded';
+        }
+        return {
+            status: error ? 'fail' : 'ok',
+            ...(error && { error }),
+            lastHeartbeat: new Date(receivedAt).toISOString(),
+            ageSeconds,
+            ...heartbeat
+        };
+    }
+}
+
+function createHealthRouter({ healthChecks, retention, telemetryStore, requireKioskOrigin }) {
+    const router = express.Router();
+
+    // Summary for people: storage usage and the kiosk's model state
+    router.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            modelsLoaded: healthChecks.modelLoaded(),
+            storage: retention.usage(),
+            telemetry: telemetryStore.usage(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    router.get('/health/live', (req, res) => {
+        res.json(healthChecks.live());
+    });
+
+    router.get('/health/ready', async (req, res) => {
+        try {
+            const report = await healthChecks.ready();
+            res.status(report.ready ? 200 : 503).json({ status: report.ready ? 'ready' : 'not_ready', ...report });
+        } catch (error) {
+            console.error('Error checking readiness:', error);
+            res.status(503).json({ status: 'not_ready', error: error.message });
+        }
+    });
+
+    // Kiosk heartbeat: { fps, detectionMs, modelLoaded, phase, asrConnected }
+    router.post('/heartbeat', requireKioskOrigin, (req, res) => {
+        let heartbeat;
+        try {
+            heartbeat = parseHeartbeat(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        healthChecks.recordHeartbeat(heartbeat, req.headers.origin);
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = { HealthChecks, createHealthRouter };
@@ -0,0 +1,164 @@
+// Metrics - Prometheus text format at /metrics, for charting a long run of the installation
+//
+// Counters and histograms are updated as requests come in and start from zero when the server
+// restarts (Prometheus handles the reset). The kiosk's frame rate and detection latency are the
+// values from its latest heartbeat. Node's process metrics (memory, event loop lag, GC) come too.
+
+const express = require('express');
+const client = require('prom-client');
+
+const PREFIX = 'mirror_';
+
+class Metrics {
+    constructor({ db }) {
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry });
+
+        const registers = [this.registry];
+        const storedCaptures = db.prepare('SELECT COUNT(*) AS count FROM captures');
+
+        this.captures = new client.Counter({
+            name: `${PREFIX}captures_total`,
+            help: 'POST /capture-face requests by result: saved, duplicate (dropped for a stored near-duplicate), duplicate_rejected, rejected (other 4xx) or error (5xx)',
+            labelNames: ['result'],
+            registers
+        });
+        this.captureDuration = new client.Histogram({
+            name: `${PREFIX}capture_duration_seconds`,
+            help: 'Time to answer POST /capture-face, upload included',
+            labelNames: ['result'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+            registers
+        });
+        this.duplicates = new client.Counter({
+            name: `${PREFIX}duplicate_captures_total`,
+            help: 'Near-identical captures by resolution: kept_existing, replaced_existing or rejected',
+            labelNames: ['resolution'],
+            registers
+        });
+        this.uploadBytes = new client.Histogram({
+            name: `${PREFIX}upload_bytes`,
+            help: 'Size of the webcam frames uploaded for capture',
+            buckets: [50e3, 100e3, 200e3, 400e3, 800e3, 1.6e6, 3.2e6, 6.4e6],
+            registers
+        });
+        this.processingDuration = new client.Histogram({
+            name: `${PREFIX}image_processing_seconds`,
+            help: 'Time spent aligning, cropping and encoding a capture with sharp',
+            buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2],
+            registers
+        });
+        new client.Gauge({
+            name: `${PREFIX}stored_captures`,
+            help: 'Captures currently kept in face_images/',
+            registers,
+            collect() {
+                this.set(storedCaptures.get().count);
+            }
+        });
+
+        this.visitors = new client.Counter({
+            name: `${PREFIX}visitors_total`,
+            help: 'Visitors reaching each stage: welcome, claim, attempt_1, attempt_2, scenario, ending',
+            labelNames: ['stage'],
+            registers
+        });
+        this.scenarioOutcomes = new client.Counter({
+            name: `${PREFIX}scenario_outcomes_total`,
+            help: 'Scenario smiles judged genuine, polite or no_smile, by scenario and threshold tier',
+            labelNames: ['scenario', 'outcome', 'tier'],
+            registers
+        });
+        this.endings = new client.Counter({
+            name: `${PREFIX}endings_total`,
+            help: 'Runs that reached an ending, by kind',
+            labelNames: ['kind'],
+            registers
+        });
+        this.restarts = new client.Counter({
+            name: `${PREFIX}face_absence_restarts_total`,
+            help: 'Runs abandoned because the face went missing, by the stage they were at',
+            labelNames: ['stage'],
+            registers
+        });
+
+        this.kioskFps = new client.Gauge({
+            name: `${PREFIX}kiosk_fps`,
+            help: 'Frames per second the kiosk page rendered, from its latest heartbeat',
+            registers
+        });
+        this.kioskDetectionLatency = new client.Gauge({
+            name: `${PREFIX}kiosk_detection_latency_seconds`,
+            help: 'Average face detection time on the kiosk, from its latest heartbeat',
+            registers
+        });
+        this.kioskModelLoaded = new client.Gauge({
+            name: `${PREFIX}kiosk_model_loaded`,
+            help: '1 when the kiosk reported its face model loaded in its latest heartbeat',
+            registers
+        });
+        this.kioskHeartbeat = new client.Gauge({
+            name: `${PREFIX}kiosk_last_heartbeat_timestamp_seconds`,
+            help: 'When the kiosk last sent a heartbeat',
+            registers
+        });
+    }
+
+    // Middleware for the capture route: times the whole request and counts it by result
+    timeCaptures() {
+        return (req, res, next) => {
+            const stop = this.captureDuration.startTimer();
+            res.on('finish', () => {
+                // The route may name its outcome (res.locals.captureResult), e.g. a dropped duplicate
+                const result = res.locals.captureResult ||
+                    (res.statusCode < 400 ? 'saved' : res.statusCode < 500 ? 'rejected' : 'error');
+                this.captures.inc({ result });
+                stop({ result });
+            });
+            next();
+        };
+    }
+
+    // A funnel event as EventLog recorded it
+    observeEvent({ kind, detail }) {
+        if (kind === 'welcome') {
+            this.visitors.inc({ stage: 'welcome' });
+        } else if (kind === 'attempt') {
+            this.visitors.inc({ stage: `attempt_${detail.level}` });
+        } else if (kind === 'scenario_start') {
+            this.visitors.inc({ stage: 'scenario' });
+        } else if (kind === 'scenario_result' && detail.outcome) {
+            this.scenarioOutcomes.inc({ scenario: detail.scenarioId, outcome: detail.outcome, tier: detail.thresholdTier || '' });
+        } else if (kind === 'ending') {
+            this.visitors.inc({ stage: 'ending' });
+            this.endings.inc({ kind: detail.kind });
+        } else if (kind === 'face_absence_restart') {
+            this.restarts.inc({ stage: detail.stage });
+        }
+    }
+
+    observeHeartbeat({ fps, modelLoaded, detectionMs }) {
+        this.kioskFps.set(fps);
+        this.kioskModelLoaded.set(modelLoaded ? 1 : 0);
+        if (detectionMs !== null) this.kioskDetectionLatency.set(detectionMs / 1000);
+        this.kioskHeartbeat.setToCurrentTime();
+    }
+}
+
+function createMetricsRouter({ metrics }) {
+    const router = express.Router();
+
+    router.get('/metrics', async (req, res) => {
+        try {
+            res.set('Content-Type', metrics.registry.contentType);
+            res.send(await metrics.registry.metrics());
+        } catch (error) {
+            console.error('Error collecting metrics:', error);
+            res.status(500).type('text/plain').send('Failed to collect metrics\n');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { Metrics, createMetricsRouter };
@@ -0,0 +1,99 @@
+// Print Queue - Spool directory of rendered reports for a local print agent
+//
+// Each job is `job_<timestamp>_<sessionId>` with a .pdf, a .png and a .json descriptor.
+// A print agent polls GET /print-queue, fetches the file its printer takes and marks the
+// job done, which deletes it. Without an agent, point a printer's hot folder at the
+// spool directory instead.
+
+const fs = require('fs');
+const path = require('path');
+
+const JOB_ID = /^job_\d+_[A-Za-z0-9-]+$/;
+const FORMATS = ['pdf', 'png'];
+
+class PrintQueue {
+    constructor({ spoolDir, maxAgeHours = 0 }) {
+        this.spoolDir = spoolDir;
+        this.maxAgeHours = maxAgeHours;
+    }
+
+    enqueue(sessionId, { pdf, png }) {
+        fs.mkdirSync(this.spoolDir, { recursive: true });
+        const now = Date.now();
+        const id = `job_${now}_${sessionId}`;
+        const job = { id, sessionId, createdAt: new Date(now).toISOString(), formats: FORMATS };
+
+        fs.writeFileSync(this.file(id, 'pdf'), pdf);
+        fs.writeFileSync(this.file(id, 'png'), png);
+        // Descriptor last, so a job only shows up once its files are complete
+        fs.writeFileSync(this.file(id, 'json'), JSON.stringify(job, null, 2));
+        return job;
+    }
+
+    // Pending jobs, oldest first
+    list() {
+        this.sweep();
+        if (!fs.existsSync(this.spoolDir)) return [];
+        return fs.readdirSync(this.spoolDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.get(path.basename(file, '.json')))
+            .filter(Boolean)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    get(id) {
+        if (!JOB_ID.test(id)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(this.file(id, 'json'), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Path of a job's printable file, or null
+    filePath(id, format) {
+        if (!FORMATS.includes(format) || !this.get(id)) return null;
+        const file = this.file(id, format);
+        return fs.existsSync(file) ? file : null;
+    }
+
+    remove(id) {
+        if (!JOB_ID.test(id)) return false;
+        let removed = false;
+        for (const extension of ['json', ...FORMATS]) {
+            try {
+                fs.unlinkSync(this.file(id, extension));
+                removed = true;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Failed to delete print job file ${id}.${extension}:`, error.message);
+                }
+            }
+        }
+        return removed;
+    }
+
+    // Reports carry the visitor's photo, so they go with the session's data
+    removeSession(sessionId) {
+        return this.list()
+            .filter(job => job.sessionId === sessionId)
+            .filter(job => this.remove(job.id))
+            .length;
+    }
+
+    // Drop jobs nobody printed within the retention age limit
+    sweep() {
+        if (this.maxAgeHours <= 0 || !fs.existsSync(this.spoolDir)) return;
+        const cutoff = Date.now() - this.maxAgeHours * 60 * 60 * 1000;
+        for (const file of fs.readdirSync(this.spoolDir)) {
+            const match = /^(job_(\d+)_[A-Za-z0-9-]+)\.json$/.exec(file);
+            if (match && Number(match[2]) < cutoff) this.remove(match[1]);
+        }
+    }
+
+    file(id, extension) {
+        return path.join(this.spoolDir, `${id}.${extension}`);
+    }
+}
+
+module.exports = { PrintQueue };
@@ -0,0 +1,199 @@
+// Report - Print-ready "Humanity Verification Report" for a session
+//
+// Rendered as a 4x6 inch portrait card at 300 dpi (the size photo-booth printers take):
+// the best capture, the final smilingScore and its breakdown, the point balance over the
+// game scenarios and the closing verdict. The PDF wraps the same PNG at full bleed.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+
+const { readImageMeta } = require('./captures');
+const { describePhase } = require('./animation');
+
+const WIDTH = 1200;
+const HEIGHT = 1800;
+const DPI = 300;
+const MARGIN = 90;
+const PHOTO_SIZE = 600;
+const PHOTO_TOP = 240;
+
+const BREAKDOWN = [
+    { key: 'muscleActivation', label: 'Muscle activation', color: '#007AFF' },
+    { key: 'facialSymmetry', label: 'Facial symmetry', color: '#5856D6' },
+    { key: 'joyDetection', label: 'Joy detection', color: '#FF2D55' }
+];
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[c]));
+}
+
+function percent(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value) : null;
+}
+
+// Greedy word wrap by character count (good enough for one sans-serif size)
+function wrapText(text, maxChars) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+// The capture to print: best frame-selection score, else highest smilingScore, else the last one
+function pickBestCapture(faceDir, filenames) {
+    let best = null;
+    for (const filename of filenames) {
+        if (!fs.existsSync(path.join(faceDir, filename))) continue;
+        const meta = readImageMeta(faceDir, filename) || {};
+        const selection = meta.selection && meta.selection.scores ? meta.selection.scores.total : -1;
+        const smile = meta.metrics && typeof meta.metrics.smilingScore === 'number' ? meta.metrics.smilingScore : -1;
+        if (!best || selection > best.selection || (selection === best.selection && smile >= best.smile)) {
+            best = { filename, meta, selection, smile };
+        }
+    }
+    return best;
+}
+
+function breakdownSvg(metrics, top) {
+    return BREAKDOWN.map((item, index) => {
+        const value = percent(metrics[item.key]);
+        const y = top + index * 70;
+        const barWidth = WIDTH - MARGIN * 2;
+        const filled = value === null ? 0 : Math.max(0, Math.min(100, value)) / 100 * barWidth;
+        return `
+            <text x="${MARGIN}" y="${y}" font-size="30" fill="#3a3a3c">${item.label}</text>
+            <text x="${WIDTH - MARGIN}" y="${y}" font-size="30" font-weight="700" fill="#1d1d1f" text-anchor="end">${value === null ? '–' : `${value}%`}</text>
+            <rect x="${MARGIN}" y="${y + 14}" width="${barWidth}" height="14" rx="7" fill="#e5e5ea"/>
+            <rect x="${MARGIN}" y="${y + 14}" width="${filled}" height="14" rx="7" fill="${item.color}"/>`;
+    }).join('');
+}
+
+// Point balance before the first scenario and after each one
+function historySvg(history, top, height) {
+    if (!Array.isArray(history) || history.length === 0) return '';
+
+    const points = [history[0].balanceBefore, ...history.map(entry => entry.balanceAfter)]
+        .map(value => Number(value))
+        .filter(Number.isFinite);
+    if (points.length < 2) return '';
+
+    const left = MARGIN;
+    const width = WIDTH - MARGIN * 2;
+    const chartTop = top + 30;
+    const chartHeight = height - 80;
+    const min = Math.min(0, ...points);
+    const max = Math.max(100, ...points);
+    const x = index => left + index / (points.length - 1) * width;
+    const y = value => chartTop + (max - value) / (max - min) * chartHeight;
+
+    const line = points.map((value, index) => `${index === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+    const dots = points.map((value, index) => `
+        <circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="9" fill="#1d1d1f"/>
+        <text x="${x(index).toFixed(1)}" y="${(y(value) - 20).toFixed(1)}" font-size="24" font-weight="600" fill="#1d1d1f" text-anchor="middle">${Math.round(value)}</text>`).join('');
+    const labels = history.map((entry, index) => `
+        <text x="${x(index + 1).toFixed(1)}" y="${chartTop + chartHeight + 44}" font-size="22" fill="#86868b" text-anchor="middle">${escapeXml(describePhase({ scenarioId: entry.scenarioId }))}</text>`).join('');
+
+    return `
+        <text x="${MARGIN}" y="${top}" font-size="30" fill="#3a3a3c">Point balance</text>
+        <line x1="${left}" y1="${y(0).toFixed(1)}" x2="${left + width}" y2="${y(0).toFixed(1)}" stroke="#d1d1d6" stroke-width="2" stroke-dasharray="8 8"/>
+        <path d="${line}" fill="none" stroke="#1d1d1f" stroke-width="5" stroke-linejoin="round"/>
+        ${dots}
+        <text x="${left}" y="${chartTop + chartHeight + 44}" font-size="22" fill="#86868b" text-anchor="middle">Start</text>
+        ${labels}`;
+}
+
+function reportSvg(session, best) {
+    const summary = session.summary || {};
+    const metrics = { ...(best && best.meta.metrics), ...(summary.finalMetrics || {}) };
+    const score = percent(metrics.smilingScore);
+    const date = new Date(session.startedAt);
+
+    let y = PHOTO_TOP + PHOTO_SIZE + 110;
+    const scoreBlock = `
+        <text x="${MARGIN}" y="${y}" font-size="34" fill="#3a3a3c">Final smiling score</text>
+        <text x="${WIDTH - MARGIN}" y="${y + 10}" font-size="96" font-weight="800" fill="#1d1d1f" text-anchor="end">${score === null ? '–' : `${score}%`}</text>`;
+    y += 90;
+    const breakdown = breakdownSvg(metrics, y);
+    y += BREAKDOWN.length * 70 + 40;
+
+    const hasHistory = Array.isArray(summary.scenarioHistory) && summary.scenarioHistory.length > 0;
+    const history = hasHistory ? historySvg(summary.scenarioHistory, y, 220) : '';
+    if (hasHistory) y += 280;
+
+    const verdictLines = wrapText(summary.verdict || 'Unable to confirm identity.', 52).slice(0, 4);
+    const verdict = verdictLines.map((line, index) => `
+        <text x="${WIDTH / 2}" y="${y + 20 + index * 44}" font-size="34" font-weight="700" fill="#dc2626" text-anchor="middle">${escapeXml(line)}</text>`).join('');
+
+    return Buffer.from(`
+        <svg width="${WIDTH}" height="${HEIGHT}" xmlns="http://www.w3.org/2000/svg" font-family="sans-serif">
+            <rect width="100%" height="100%" fill="#ffffff"/>
+            <text x="${WIDTH / 2}" y="130" font-size="52" font-weight="800" fill="#1d1d1f" text-anchor="middle" letter-spacing="2">HUMANITY VERIFICATION REPORT</text>
+            <text x="${WIDTH / 2}" y="185" font-size="28" fill="#86868b" text-anchor="middle">${escapeXml(date.toLocaleString('en-GB', { dateStyle: 'long', timeStyle: 'short' }))} · Subject ${escapeXml(session.id.slice(0, 8).toUpperCase())}</text>
+            <rect x="${(WIDTH - PHOTO_SIZE) / 2 - 6}" y="${PHOTO_TOP - 6}" width="${PHOTO_SIZE + 12}" height="${PHOTO_SIZE + 12}" rx="24" fill="#1d1d1f"/>
+            ${best ? '' : `<text x="${WIDTH / 2}" y="${PHOTO_TOP + PHOTO_SIZE / 2}" font-size="36" fill="#86868b" text-anchor="middle">No photo on file</text>`}
+            ${scoreBlock}
+            ${breakdown}
+            ${history}
+            ${verdict}
+            <text x="${WIDTH / 2}" y="${HEIGHT - 40}" font-size="24" fill="#aeaeb2" text-anchor="middle">This result was determined by the mirror. It is not open to appeal.</text>
+        </svg>`);
+}
+
+async function renderReportPng(faceDir, session) {
+    const best = pickBestCapture(faceDir, session.captures);
+    const layers = [];
+
+    if (best) {
+        const photo = await sharp(path.join(faceDir, best.filename))
+            .resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover' })
+            .composite([{
+                input: Buffer.from(`<svg width="${PHOTO_SIZE}" height="${PHOTO_SIZE}"><rect width="100%" height="100%" rx="18" fill="#fff"/></svg>`),
+                blend: 'dest-in'
+            }])
+            .png()
+            .toBuffer();
+        layers.push({ input: photo, left: (WIDTH - PHOTO_SIZE) / 2, top: PHOTO_TOP });
+    }
+
+    return sharp(reportSvg(session, best), { density: 72 })
+        .composite(layers)
+        .withMetadata({ density: DPI })
+        .png()
+        .toBuffer();
+}
+
+// Single full-bleed page holding the PNG, at its print size
+function renderReportPdf(png, session) {
+    return new Promise((resolve, reject) => {
+        const size = [WIDTH / DPI * 72, HEIGHT / DPI * 72];
+        const doc = new PDFDocument({
+            size,
+            margin: 0,
+            info: { Title: 'Humanity Verification Report', Subject: `Session ${session.id}` }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.image(png, 0, 0, { width: size[0], height: size[1] });
+        doc.end();
+    });
+}
+
+async function renderReport(faceDir, session) {
+    const png = await renderReportPng(faceDir, session);
+    const pdf = await renderReportPdf(png, session);
+    return { png, pdf };
+}
+
+module.exports = { renderReport, renderReportPng, renderReportPdf };
@@ -0,0 +1,154 @@
+// Reports - End-of-run summaries, the printable report built from them and the print queue API
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const { renderReport, renderReportPng, renderReportPdf } = require('./report');
+
+const MAX_VERDICT_LENGTH = 500;
+const MAX_HISTORY_ENTRIES = 20;
+const METRIC_KEYS = ['smilingScore', 'muscleActivation', 'facialSymmetry', 'joyDetection', 'smileLevel'];
+const CONTENT_TYPES = { pdf: 'application/pdf', png: 'image/png' };
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function finiteNumber(value, name) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw badRequest(`${name} must be a number`);
+    }
+    return value;
+}
+
+// Body: { verdict, finalMetrics: { smilingScore, ... }, scenarioHistory: [...], finalBalance }
+// Keeps only the fields the report uses
+function parseSummary(body) {
+    const { verdict, finalMetrics = {}, scenarioHistory = [], finalBalance = null } = body || {};
+
+    if (typeof verdict !== 'string' || verdict.trim() === '' || verdict.length > MAX_VERDICT_LENGTH) {
+        throw badRequest(`verdict must be a non-empty string of at most ${MAX_VERDICT_LENGTH} characters`);
+    }
+    if (!finalMetrics || typeof finalMetrics !== 'object' || Array.isArray(finalMetrics)) {
+        throw badRequest('finalMetrics must be an object');
+    }
+    if (!Array.isArray(scenarioHistory) || scenarioHistory.length > MAX_HISTORY_ENTRIES) {
+        throw badRequest(`scenarioHistory must be an array of at most ${MAX_HISTORY_ENTRIES} entries`);
+    }
+
+    const metrics = {};
+    for (const key of METRIC_KEYS) {
+        const value = finiteNumber(finalMetrics[key], `finalMetrics.${key}`);
+        if (value !== null) metrics[key] = value;
+    }
+
+    const history = scenarioHistory.map((entry, index) => {
+        if (!entry || typeof entry !== 'object') throw badRequest(`scenarioHistory[${index}] must be an object`);
+        return {
+            scenarioId: typeof entry.scenarioId === 'string' ? entry.scenarioId.slice(0, 64) : null,
+            smilingScore: finiteNumber(entry.smilingScore, `scenarioHistory[${index}].smilingScore`),
+            pointsEarned: finiteNumber(entry.pointsEarned, `scenarioHistory[${index}].pointsEarned`) || 0,
+            pointsDeducted: finiteNumber(entry.pointsDeducted, `scenarioHistory[${index}].pointsDeducted`) || 0,
+            balanceBefore: finiteNumber(entry.balanceBefore, `scenarioHistory[${index}].balanceBefore`),
+            balanceAfter: finiteNumber(entry.balanceAfter, `scenarioHistory[${index}].balanceAfter`)
+        };
+    });
+
+    return {
+        verdict: verdict.trim(),
+        finalMetrics: metrics,
+        scenarioHistory: history,
+        finalBalance: finiteNumber(finalBalance, 'finalBalance')
+    };
+}
+
+function createReportsRouter({ faceDir, sessions, printQueue, printReports, requireKioskOrigin, requireAdmin }) {
+    const router = express.Router();
+
+    function hasCaptures(session) {
+        return session.captures.some(filename => fs.existsSync(path.join(faceDir, filename)));
+    }
+
+    // The kiosk reports how the run ended; visitors who kept photos get a report in the print queue
+    router.put('/sessions/:id/summary', requireKioskOrigin, async (req, res) => {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        let summary;
+        try {
+            summary = parseSummary(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        // The stored session with the summary applied (get() returns a fresh object each time)
+        const updated = sessions.setSummary(session.id, summary);
+
+        let printJob = null;
+        if (printReports && hasCaptures(updated)) {
+            try {
+                printQueue.removeSession(updated.id); // A later summary replaces the earlier report
+                printJob = printQueue.enqueue(updated.id, await renderReport(faceDir, updated)).id;
+                console.log(`Report queued for printing: ${printJob}`);
+            } catch (error) {
+                console.error('Error queueing report:', error);
+            }
+        }
+
+        res.json({ ...sessions.toJSON(updated), printJob });
+    });
+
+    // The report itself (the session id acts as the key, as for its images)
+    router.get('/sessions/:id/report.:format(png|pdf)', async (req, res) => {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        try {
+            const png = await renderReportPng(faceDir, session);
+            const body = req.params.format === 'pdf' ? await renderReportPdf(png, session) : png;
+            res.type(CONTENT_TYPES[req.params.format]);
+            if (req.query.download) {
+                res.attachment(`report_${session.id.slice(0, 8)}.${req.params.format}`);
+            }
+            res.send(body);
+        } catch (error) {
+            console.error('Error rendering report:', error);
+            res.status(500).json({ error: 'Failed to render report' });
+        }
+    });
+
+    // Print agent API: list pending jobs, fetch one, mark it printed
+    router.use('/print-queue', requireAdmin);
+
+    router.get('/print-queue', (req, res) => {
+        const jobs = printQueue.list().map(job => ({
+            ...job,
+            files: Object.fromEntries(job.formats.map(format => [format, `/print-queue/${job.id}/report.${format}`]))
+        }));
+        res.json({ jobs });
+    });
+
+    router.get('/print-queue/:id/report.:format(png|pdf)', (req, res) => {
+        const file = printQueue.filePath(req.params.id, req.params.format);
+        if (!file) {
+            return res.status(404).json({ error: 'Print job not found' });
+        }
+        res.type(CONTENT_TYPES[req.params.format]).sendFile(file);
+    });
+
+    router.post('/print-queue/:id/done', (req, res) => {
+        if (!printQueue.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Print job not found' });
+        }
+        res.json({ id: req.params.id, removed: true });
+    });
+
+    return router;
+}
+
+module.exports = { createReportsRouter };
@@ -0,0 +1,217 @@
+// Research Export - Frame, scenario and landmark tables for the research partner
+//
+// Tables cover the sessions started in the range and come as CSV (with a header row) or JSON
+// Lines. Session and capture ids are replaced by keyed HMAC pseudonyms: stable across exports
+// made with the same key, so tables join up, but not reversible without it. The key is the
+// exportKey setting (EXPORT_KEY), or is generated once into `export.key` next to the database.
+// Face images are never part of a table; the CLI copies them only when asked (see exportCli.js).
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const { isVisible } = require('./captureMode');
+const { parseTime } = require('./captureIndex');
+const { csvLine } = require('./csv');
+const { fromJson } = require('./database');
+
+// Columns per table, in output order
+const TABLES = {
+    // One row per telemetry frame (see telemetryStore.js)
+    frames: ['session', 't', 'phase', 'scenarioId', 'smile', 'muscle', 'symmetry', 'joy', 'face'],
+    // One row per scenario, as GameStateManager.recordScenarioResult() records it, plus how it was judged
+    scenarios: ['session', 'position', 'scenarioId', 'smilingScore', 'pointsEarned', 'pointsDeducted',
+        'balanceBefore', 'balanceAfter', 'facialSymmetry', 'joyDetection', 'outcome', 'thresholdTier'],
+    // One row per landmark point of each capture, in the crop's pixel coordinates (capture.outputSize)
+    landmarks: ['capture', 'session', 'capturedAt', 'point', 'x', 'y', 'z']
+};
+const FORMATS = ['csv', 'jsonl'];
+const CONTENT_TYPES = { csv: 'text/csv', jsonl: 'application/x-ndjson' };
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// { from, to } as ISO strings (null = open-ended); a plain date as `to` includes that whole day.
+// Throws a 400-status error for bad values.
+function parseRange({ from, to } = {}) {
+    const fromTime = parseTime(from);
+    const toTime = DATE_ONLY.test(to || '') ? Date.parse(to) + DAY_MS - 1 : parseTime(to);
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        throw badRequest('from/to must be ISO dates or epoch milliseconds');
+    }
+    if (fromTime !== null && toTime !== null && fromTime > toTime) {
+        throw badRequest('from must be before to');
+    }
+    return {
+        from: fromTime === null ? null : new Date(fromTime).toISOString(),
+        to: toTime === null ? null : new Date(toTime).toISOString()
+    };
+}
+
+// `key` when configured, else the key in `file` (created on first use)
+function loadExportKey(file, key = '') {
+    if (key) return key;
+    try {
+        return fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const generated = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+        fs.writeFileSync(file, `${generated}\n`, { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+        // Another process (server or CLI) created it first: use theirs
+        if (error.code === 'EEXIST') return fs.readFileSync(file, 'utf8').trim();
+        throw error;
+    }
+    return generated;
+}
+
+class ResearchExport {
+    // `captureMode` is the installation's capture.mode; images of laxer captures are withheld
+    constructor({ db, telemetryStore, faceDir, key, captureMode = 'full' }) {
+        this.telemetryStore = telemetryStore;
+        this.faceDir = faceDir;
+        this.key = key;
+        this.captureMode = captureMode;
+        this.statements = {
+            sessions: db.prepare(`SELECT id FROM sessions
+                WHERE (@from IS NULL OR started_at >= @from) AND (@to IS NULL OR started_at <= @to)
+                ORDER BY started_at, id`),
+            results: db.prepare('SELECT * FROM scenario_results WHERE session_id = ? ORDER BY position'),
+            captures: db.prepare('SELECT id, captured_at, files, capture_mode FROM captures WHERE session_id = ? ORDER BY captured_at, id')
+        };
+    }
+
+    // Stable, keyed pseudonym for a session ('s_…') or capture ('c_…') id
+    pseudonym(prefix, id) {
+        return `${prefix}_${crypto.createHmac('sha256', this.key).update(id).digest('hex').slice(0, 16)}`;
+    }
+
+    sessionIds(range) {
+        return this.statements.sessions.all(range).map(row => row.id);
+    }
+
+    // Row objects of one table, session by session
+    *rows(table, range) {
+        for (const sessionId of this.sessionIds(range)) {
+            const session = this.pseudonym('s', sessionId);
+            if (table === 'frames') {
+                for (const frame of this.telemetryStore.read(sessionId)) yield { session, ...frame };
+            } else if (table === 'scenarios') {
+                for (const result of this.statements.results.all(sessionId)) {
+                    yield {
+                        session,
+                        position: result.position,
+                        scenarioId: result.scenario_id,
+                        smilingScore: result.smiling_score,
+                        pointsEarned: Math.max(0, result.charge_amount),
+                        pointsDeducted: Math.max(0, -result.charge_amount),
+                        balanceBefore: result.balance_before,
+                        balanceAfter: result.balance_after,
+                        facialSymmetry: result.facial_symmetry,
+                        joyDetection: result.joy_detection,
+                        outcome: result.outcome,
+                        thresholdTier: result.threshold_tier
+                    };
+                }
+            } else if (table === 'landmarks') {
+                for (const capture of this.captures(sessionId)) {
+                    const points = this.readLandmarks(capture) || [];
+                    for (let point = 0; point < points.length; point++) {
+                        const [x, y, z] = points[point];
+                        yield { capture: capture.pseudonym, session, capturedAt: capture.capturedAt, point, x, y, z };
+                    }
+                }
+            }
+        }
+    }
+
+    // A session's captures with their pseudonyms, files and whether their image may be exported
+    captures(sessionId) {
+        return this.statements.captures.all(sessionId).map(row => ({
+            id: row.id,
+            pseudonym: this.pseudonym('c', row.id),
+            capturedAt: new Date(row.captured_at).toISOString(),
+            files: fromJson(row.files) || [],
+            imageAllowed: isVisible(row.capture_mode, this.captureMode)
+        }));
+    }
+
+    readLandmarks(capture) {
+        const file = capture.files.find(name => name.endsWith('_landmarks.json'));
+        if (!file) return null;
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.faceDir, file), 'utf8')).aligned;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Output text of one table, a line at a time (the CSV header first)
+    *lines(table, format, range) {
+        const columns = TABLES[table];
+        if (format === 'csv') yield csvLine(columns);
+        for (const row of this.rows(table, range)) {
+            yield format === 'csv'
+                ? csvLine(columns.map(column => row[column]))
+                : JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null]))) + '\n';
+        }
+    }
+}
+
+// Resolves once the response can take more data (or the client went away)
+function writable(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+function createExportRouter({ researchExport, requireAdmin }) {
+    const router = express.Router();
+
+    // One table, streamed: /export/frames.csv, /export/scenarios.jsonl, /export/landmarks.csv ... ?from=&to=
+    router.get('/export/:table.:format(csv|jsonl)', requireAdmin, async (req, res) => {
+        const { table, format } = req.params;
+        if (!Object.prototype.hasOwnProperty.call(TABLES, table)) {
+            return res.status(404).json({ error: `Unknown table; one of ${Object.keys(TABLES).join(', ')}` });
+        }
+
+        let range;
+        try {
+            range = parseRange(req.query);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const day = iso => (iso ? iso.slice(0, 10) : null);
+        res.attachment(`research_${table}_${day(range.from) || 'start'}_${day(range.to) || 'now'}.${format}`);
+        res.set('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`); // After attachment(), which guesses from the extension
+        try {
+            for (const line of researchExport.lines(table, format, range)) {
+                if (res.destroyed) return;
+                if (!res.write(line)) await writable(res);
+            }
+            res.end();
+        } catch (error) {
+            console.error(`Error exporting ${table}:`, error);
+            res.destroy(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { ResearchExport, createExportRouter, TABLES, FORMATS, parseRange, loadExportKey };
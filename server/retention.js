@@ -0,0 +1,139 @@
+// Retention - Keeps face_images/ within the venue's privacy limits
+//
+// A capture is every file sharing a `face_<timestamp>_<n>` prefix (image, landmarks,
+// meta, ...). The sweeper removes whole captures, oldest first, until the age, count
+// and disk-size limits hold. Every purge is appended to a JSON-lines audit log.
+
+const fs = require('fs');
+const path = require('path');
+
+const { listCaptures, readMeta } = require('./captures');
+
+class RetentionManager {
+    constructor({ faceDir, auditLogPath, maxAgeHours = 0, maxCount = 0, maxMegabytes = 0, sweepIntervalMinutes = 10, onPurge = null }) {
+        this.faceDir = faceDir;
+        this.auditLogPath = auditLogPath;
+        this.limits = { maxAgeHours, maxCount, maxMegabytes };
+        this.sweepIntervalMinutes = sweepIntervalMinutes;
+        this.onPurge = onPurge;
+        this.timer = null;
+        this.lastSweep = null;
+    }
+
+    start() {
+        this.stop();
+        this.sweep();
+        if (this.sweepIntervalMinutes > 0) {
+            this.timer = setInterval(() => this.sweep(), this.sweepIntervalMinutes * 60 * 1000);
+            this.timer.unref();
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Enforce all limits once; returns the purged captures
+    sweep() {
+        const now = Date.now();
+        const captures = listCaptures(this.faceDir);
+        const expired = new Set();
+
+        // 1. Age
+        if (this.limits.maxAgeHours > 0) {
+            const cutoff = now - this.limits.maxAgeHours * 60 * 60 * 1000;
+            captures.filter(c => c.capturedAt < cutoff).forEach(c => expired.add(c));
+        }
+
+        let remaining = captures.filter(c => !expired.has(c));
+
+        // 2. Count (drop the oldest beyond the limit)
+        if (this.limits.maxCount > 0 && remaining.length > this.limits.maxCount) {
+            remaining.slice(0, remaining.length - this.limits.maxCount).forEach(c => expired.add(c));
+            remaining = remaining.slice(remaining.length - this.limits.maxCount);
+        }
+
+        // 3. Disk size (drop the oldest until we fit)
+        if (this.limits.maxMegabytes > 0) {
+            const maxBytes = this.limits.maxMegabytes * 1024 * 1024;
+            let total = remaining.reduce((sum, c) => sum + c.bytes, 0);
+            while (total > maxBytes && remaining.length > 0) {
+                const oldest = remaining.shift();
+                expired.add(oldest);
+                total -= oldest.bytes;
+            }
+        }
+
+        this.lastSweep = new Date(now).toISOString();
+
+        if (expired.size === 0) return [];
+        return this.purge([...expired], 'retention-sweep');
+    }
+
+    // Immediately delete everything captured in one session ("delete my data")
+    purgeSession(sessionId) {
+        const captures = listCaptures(this.faceDir)
+            .filter(capture => (readMeta(this.faceDir, capture) || {}).sessionId === sessionId);
+        return this.purge(captures, 'visitor-request', { sessionId });
+    }
+
+    purge(captures, reason, details = {}) {
+        const purged = [];
+        for (const capture of captures) {
+            for (const file of capture.files) {
+                try {
+                    fs.unlinkSync(path.join(this.faceDir, file));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`Failed to delete ${file}:`, error.message);
+                    }
+                }
+            }
+            purged.push(capture);
+        }
+
+        const bytes = purged.reduce((sum, c) => sum + c.bytes, 0);
+        this.audit({
+            reason,
+            ...details,
+            captures: purged.map(c => c.id),
+            files: purged.reduce((sum, c) => sum + c.files.length, 0),
+            bytes
+        });
+
+        if (purged.length > 0) {
+            console.log(`Retention: purged ${purged.length} capture(s), ${bytes} bytes (${reason})`);
+        }
+        if (this.onPurge) {
+            this.onPurge(purged, reason);
+        }
+        return purged;
+    }
+
+    audit(entry) {
+        try {
+            fs.mkdirSync(path.dirname(this.auditLogPath), { recursive: true });
+            fs.appendFileSync(this.auditLogPath, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+        } catch (error) {
+            console.error('Failed to write retention audit log:', error.message);
+        }
+    }
+
+    // Current storage use, for /health
+    usage() {
+        const captures = listCaptures(this.faceDir);
+        return {
+            captures: captures.length,
+            files: captures.reduce((sum, c) => sum + c.files.length, 0),
+            bytes: captures.reduce((sum, c) => sum + c.bytes, 0),
+            oldestCapture: captures.length ? new Date(captures[0].capturedAt).toISOString() : null,
+            limits: this.limits,
+            lastSweep: this.lastSweep
+        };
+    }
+}
+
+module.exports = { RetentionManager };
@@ -0,0 +1,185 @@
+// Session Store - One session per visitor run, so captures never leak between visitors
+//
+// Sessions and their outcomes live in the SQLite database, so they survive restarts; a session
+// stays open across one until the kiosk closes it, and `ended_at` is only ever that close's time.
+// A session's captures are the rows CaptureIndex filed under its id.
+
+const crypto = require('crypto');
+
+const { toJson, fromJson } = require('./database');
+const { visibleModeSql } = require('./captureMode');
+
+class SessionStore {
+    // A session's capture list leaves out captures kept in a laxer mode than `captureMode`
+    constructor(db, { captureMode = 'full' } = {}) {
+        this.db = db;
+        this.statements = {
+            insert: db.prepare(`INSERT INTO sessions (id, started_at, consent, consent_at, capture_mode)
+                VALUES (@id, @startedAt, @consent, @consentAt, @captureMode)`),
+            get: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+            captures: db.prepare(`SELECT filename FROM captures WHERE session_id = ? AND filename IS NOT NULL
+                AND ${visibleModeSql(captureMode)} ORDER BY captured_at, id`),
+            results: db.prepare('SELECT * FROM scenario_results WHERE session_id = ? ORDER BY position'),
+            close: db.prepare('UPDATE sessions SET ended_at = ? WHERE id = ? AND ended_at IS NULL'),
+            setSummary: db.prepare(`UPDATE sessions SET verdict = @verdict, final_metrics = @finalMetrics,
+                final_balance = @finalBalance, summary_at = @summaryAt WHERE id = @id`),
+            trimResults: db.prepare('DELETE FROM scenario_results WHERE session_id = ? AND position >= ?'),
+            // The summary and the per-scenario events both write a position's row; each keeps what the other added
+            upsertResult: db.prepare(`INSERT INTO scenario_results
+                (session_id, position, scenario_id, smiling_score, charge_amount, balance_before, balance_after,
+                    facial_symmetry, joy_detection, outcome, threshold_tier, thresholds)
+                VALUES (@sessionId, @position, @scenarioId, @smilingScore, @chargeAmount, @balanceBefore, @balanceAfter,
+                    @facialSymmetry, @joyDetection, @outcome, @thresholdTier, @thresholds)
+                ON CONFLICT (session_id, position) DO UPDATE SET scenario_id = excluded.scenario_id,
+                    smiling_score = excluded.smiling_score, charge_amount = excluded.charge_amount,
+                    balance_before = excluded.balance_before, balance_after = excluded.balance_after,
+                    facial_symmetry = COALESCE(excluded.facial_symmetry, facial_symmetry),
+                    joy_detection = COALESCE(excluded.joy_detection, joy_detection),
+                    outcome = COALESCE(excluded.outcome, outcome),
+                    threshold_tier = COALESCE(excluded.threshold_tier, threshold_tier),
+                    thresholds = COALESCE(excluded.thresholds, thresholds)`),
+            delete: db.prepare('DELETE FROM sessions WHERE id = ?')
+        };
+    }
+
+    // `consent` records whether the visitor agreed to have photos kept, `captureMode` how (see captureMode.js).
+    // A kiosk that started the run offline brings its own `id` and `startedAt` (ISO string).
+    create({ id = crypto.randomUUID(), startedAt = new Date().toISOString(), consent = false, captureMode = 'full' } = {}) {
+        this.statements.insert.run({
+            id,
+            startedAt,
+            consent: consent === true ? 1 : 0,
+            consentAt: consent === true ? startedAt : null,
+            captureMode
+        });
+        return this.get(id);
+    }
+
+    // The session with its capture filenames (oldest first) and end-of-run summary, or null
+    get(id) {
+        const row = this.statements.get.get(id);
+        if (!row) return null;
+
+        let summary = null;
+        if (row.summary_at) {
+            summary = {
+                verdict: row.verdict,
+                finalMetrics: fromJson(row.final_metrics) || {},
+                scenarioHistory: this.statements.results.all(id).map(result => ({
+                    scenarioId: result.scenario_id,
+                    smilingScore: result.smiling_score,
+                    chargeAmount: result.charge_amount,
+                    balanceBefore: result.balance_before,
+                    balanceAfter: result.balance_after
+                })),
+                finalBalance: row.final_balance,
+                receivedAt: row.summary_at
+            };
+        }
+
+        return {
+            id: row.id,
+            startedAt: row.started_at,
+            endedAt: row.ended_at,
+            consent: row.consent === 1,
+            consentAt: row.consent_at,
+            captureMode: row.capture_mode || 'full',
+            captures: this.statements.captures.all(id).map(capture => capture.filename),
+            summary
+        };
+    }
+
+    isOpen(id) {
+        const session = this.statements.get.get(id);
+        return !!session && !session.ended_at;
+    }
+
+    close(id) {
+        this.statements.close.run(new Date().toISOString(), id);
+        return this.get(id);
+    }
+
+    // Verdict and scores the kiosk reports once the run is over (used for the printed report)
+    setSummary(id, summary) {
+        if (!this.statements.get.get(id)) return null;
+
+        this.db.transaction(() => {
+            this.statements.setSummary.run({
+                id,
+                verdict: summary.verdict,
+                finalMetrics: toJson(summary.finalMetrics),
+                finalBalance: summary.finalBalance,
+                summaryAt: new Date().toISOString()
+            });
+            this.statements.trimResults.run(id, summary.scenarioHistory.length);
+            summary.scenarioHistory.forEach((result, position) => {
+                this.writeResult(id, position, {
+                    ...result,
+                    chargeAmount: (result.pointsEarned || 0) - (result.pointsDeducted || 0)
+                });
+            });
+        })();
+        return this.get(id);
+    }
+
+    // One scenario's result as the game reports it (position = its index in the run)
+    recordScenarioResult(id, position, result) {
+        if (!this.statements.get.get(id)) return false;
+        this.writeResult(id, position, result);
+        return true;
+    }
+
+    writeResult(id, position, result) {
+        this.statements.upsertResult.run({
+            sessionId: id,
+            position,
+            scenarioId: result.scenarioId ?? null,
+            smilingScore: result.smilingScore ?? null,
+            chargeAmount: result.chargeAmount ?? 0,
+            balanceBefore: result.balanceBefore ?? null,
+            balanceAfter: result.balanceAfter ?? null,
+            facialSymmetry: result.facialSymmetry ?? null,
+            joyDetection: result.joyDetection ?? null,
+            outcome: result.outcome ?? null,
+            thresholdTier: result.thresholdTier ?? null,
+            thresholds: toJson(result.thresholds)
+        });
+    }
+
+    // Every scenario row of a session, including how each smile was judged (null where unknown)
+    scenarioResults(id) {
+        return this.statements.results.all(id).map(result => ({
+            position: result.position,
+            scenarioId: result.scenario_id,
+            smilingScore: result.smiling_score,
+            chargeAmount: result.charge_amount,
+            balanceBefore: result.balance_before,
+            balanceAfter: result.balance_after,
+            facialSymmetry: result.facial_symmetry,
+            joyDetection: result.joy_detection,
+            outcome: result.outcome,
+            thresholdTier: result.threshold_tier,
+            thresholds: fromJson(result.thresholds)
+        }));
+    }
+
+    // Removes the session with its capture rows, results and telemetry pointer
+    delete(id) {
+        return this.statements.delete.run(id).changes > 0;
+    }
+
+    // Public view of a session (capture list as plain filenames)
+    toJSON(session) {
+        return {
+            id: session.id,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            consent: session.consent,
+            captureMode: session.captureMode,
+            captureCount: session.captures.length,
+            hasSummary: !!session.summary
+        };
+    }
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,120 @@
+// Share - Take-home page a visitor opens on their phone by scanning the mirror's QR code
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+
+const { sendSessionAnimation, describePhase } = require('./animation');
+
+const SHARE_PAGE_DIR = path.join(__dirname, '..', 'share');
+
+function createShareRouter({ faceDir, sessions, captureIndex, shareLinks, baseUrl, requireKioskOrigin }) {
+    const router = express.Router();
+
+    // Captures of a session that still exist on disk
+    function existingCaptures(session) {
+        return session.captures.filter(filename => fs.existsSync(path.join(faceDir, filename)));
+    }
+
+    // Session behind a share token; null once the link expired or the captures are gone
+    function resolve(token) {
+        const link = shareLinks.get(token);
+        const session = link && sessions.get(link.sessionId);
+        if (!session || existingCaptures(session).length === 0) {
+            if (link) shareLinks.revokeSession(link.sessionId);
+            return null;
+        }
+        return { link, session };
+    }
+
+    function requireLink(req, res, next) {
+        const shared = resolve(req.params.token);
+        if (!shared) {
+            return res.status(410).json({ error: 'This link has expired' });
+        }
+        req.shared = shared;
+        next();
+    }
+
+    // Create a link (and its QR code) for the kiosk to show at the end of a run
+    router.post('/sessions/:id/share', requireKioskOrigin, async (req, res) => {
+        const session = sessions.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (existingCaptures(session).length === 0) {
+            return res.status(404).json({ error: 'No captures in this session' });
+        }
+
+        try {
+            const link = shareLinks.create(session.id);
+            const url = `${baseUrl}/s/${link.token}`;
+            const qr = await QRCode.toDataURL(url, { margin: 1, width: 320 });
+            console.log(`Share link created for session ${session.id} (expires ${new Date(link.expiresAt).toISOString()})`);
+            res.status(201).json({ url, qr, expiresAt: new Date(link.expiresAt).toISOString() });
+        } catch (error) {
+            console.error('Error creating share link:', error);
+            res.status(500).json({ error: 'Failed to create share link' });
+        }
+    });
+
+    // Page assets
+    router.use('/share', express.static(SHARE_PAGE_DIR));
+
+    router.get('/s/:token', (req, res) => {
+        const page = resolve(req.params.token) ? 'index.html' : 'expired.html';
+        res.status(page === 'index.html' ? 200 : 410).sendFile(page, { root: SHARE_PAGE_DIR });
+    });
+
+    router.get('/s/:token/summary', requireLink, (req, res) => {
+        const { link, session } = req.shared;
+        const base = `/s/${req.params.token}`;
+
+        const captures = captureIndex.forSession(session.id)
+            .filter(capture => capture.filename)
+            .map(capture => {
+                const metrics = capture.metrics || {};
+                return {
+                    filename: capture.filename,
+                    url: `${base}/images/${capture.filename}`,
+                    downloadUrl: `${base}/images/${capture.filename}?download=1`,
+                    capturedAt: capture.capturedAt,
+                    phase: describePhase(metrics),
+                    smilingScore: typeof metrics.smilingScore === 'number' ? Math.round(metrics.smilingScore) : null
+                };
+            });
+
+        res.json({
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            expiresAt: new Date(link.expiresAt).toISOString(),
+            captures,
+            animationUrl: `${base}/animation`,
+            animationDownloadUrl: `${base}/animation?format=gif&download=1`
+        });
+    });
+
+    router.get('/s/:token/images/:filename', requireLink, (req, res) => {
+        const { session } = req.shared;
+        if (!session.captures.includes(req.params.filename)) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        if (req.query.download) {
+            res.attachment(req.params.filename);
+        }
+        res.sendFile(req.params.filename, { root: faceDir }, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Image not found' });
+            }
+        });
+    });
+
+    router.get('/s/:token/animation', requireLink, (req, res) => {
+        sendSessionAnimation(req, res, faceDir, req.shared.session);
+    });
+
+    return router;
+}
+
+module.exports = { createShareRouter };
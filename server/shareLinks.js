@@ -0,0 +1,61 @@
+// Share Links - Short-lived take-home URLs for a visitor's captures
+//
+// A link is an unguessable token mapped to a session id. Links live in memory only,
+// expire after a fixed time and are revoked when the session's data is deleted.
+
+const crypto = require('crypto');
+const os = require('os');
+
+class ShareLinks {
+    constructor({ ttlMinutes = 30 } = {}) {
+        this.ttlMs = ttlMinutes * 60 * 1000;
+        this.links = new Map(); // token -> { sessionId, createdAt, expiresAt }
+    }
+
+    create(sessionId) {
+        this.sweep();
+        const now = Date.now();
+        const token = crypto.randomBytes(24).toString('base64url');
+        const link = { sessionId, createdAt: now, expiresAt: now + this.ttlMs };
+        this.links.set(token, link);
+        return { token, ...link };
+    }
+
+    // The link for a token, or null if unknown or expired
+    get(token) {
+        const link = this.links.get(token);
+        if (!link) return null;
+        if (link.expiresAt <= Date.now()) {
+            this.links.delete(token);
+            return null;
+        }
+        return link;
+    }
+
+    revokeSession(sessionId) {
+        for (const [token, link] of this.links) {
+            if (link.sessionId === sessionId) this.links.delete(token);
+        }
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [token, link] of this.links) {
+            if (link.expiresAt <= now) this.links.delete(token);
+        }
+    }
+}
+
+// Base URL a phone on the venue Wi-Fi can reach: the first non-internal IPv4 address
+function lanBaseUrl(port) {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        for (const address of addresses || []) {
+            if (address.family === 'IPv4' && !address.internal) {
+                return `http://${address.address}:${port}`;
+            }
+        }
+    }
+    return `http://localhost:${port}`;
+}
+
+module.exports = { ShareLinks, lanBaseUrl };
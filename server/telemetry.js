@@ -0,0 +1,93 @@
+// Telemetry - Ingests the kiosk's batched per-frame metrics
+//
+// The kiosk sends { sessionId, fields, frames } where `frames` are arrays in `fields` order,
+// usually gzip-compressed (`Content-Encoding: gzip`, inflated by the app's express.json(), whose
+// 100kb limit applies to the inflated body).
+
+const express = require('express');
+
+const FIELDS = ['t', 'phase', 'scenarioId', 'smile', 'muscle', 'symmetry', 'joy', 'face'];
+const METRIC_FIELDS = ['smile', 'muscle', 'symmetry', 'joy'];
+const MAX_FRAMES = 1000;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function optionalString(value, name, maxLength) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string' || value.length === 0 || value.length > maxLength) {
+        throw badRequest(`${name} must be a string of at most ${maxLength} characters`);
+    }
+    return value;
+}
+
+// Turn the column arrays into frame objects, validating every value
+function parseBatch(body) {
+    const { sessionId, fields, frames } = body || {};
+
+    if (typeof sessionId !== 'string' || sessionId === '') {
+        throw badRequest('sessionId is required');
+    }
+    if (!Array.isArray(fields) || fields.length !== FIELDS.length || !FIELDS.every(field => fields.includes(field))) {
+        throw badRequest(`fields must list ${FIELDS.join(', ')}`);
+    }
+    if (!Array.isArray(frames) || frames.length === 0 || frames.length > MAX_FRAMES) {
+        throw badRequest(`frames must be a non-empty array of at most ${MAX_FRAMES} entries`);
+    }
+
+    return frames.map((values, index) => {
+        if (!Array.isArray(values) || values.length !== fields.length) {
+            throw badRequest(`frames[${index}] must have ${fields.length} values`);
+        }
+        const raw = Object.fromEntries(fields.map((field, column) => [field, values[column]]));
+
+        if (typeof raw.t !== 'number' || !Number.isFinite(raw.t) || raw.t <= 0) {
+            throw badRequest(`frames[${index}].t must be a timestamp in ms`);
+        }
+        const frame = {
+            t: Math.round(raw.t),
+            phase: optionalString(raw.phase, `frames[${index}].phase`, 32),
+            scenarioId: optionalString(raw.scenarioId, `frames[${index}].scenarioId`, 64)
+        };
+        for (const field of METRIC_FIELDS) {
+            const value = raw[field];
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100)) {
+                throw badRequest(`frames[${index}].${field} must be null or a number between 0 and 100`);
+            }
+            frame[field] = value;
+        }
+        frame.face = raw.face === 1 || raw.face === true;
+        return frame;
+    });
+}
+
+function createTelemetryRouter({ sessions, telemetryStore, requireKioskOrigin }) {
+    const router = express.Router();
+
+    router.post('/telemetry', requireKioskOrigin, async (req, res) => {
+        let frames;
+        try {
+            frames = parseBatch(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const session = sessions.get(req.body.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        try {
+            await telemetryStore.append(session.id, frames);
+            res.status(202).json({ sessionId: session.id, accepted: frames.length });
+        } catch (error) {
+            console.error('Error storing telemetry:', error);
+            res.status(500).json({ error: 'Failed to store telemetry' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createTelemetryRouter, FIELDS };
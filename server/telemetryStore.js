@@ -0,0 +1,157 @@
+// Telemetry Store - Append-only per-frame metrics, one JSON-lines file per session
+//
+// `telemetry/<sessionId>.jsonl` holds one object per frame in arrival order:
+// { t, phase, scenarioId, smile, muscle, symmetry, joy, face }. Files are only ever
+// appended to; whole files are removed by age or on a visitor's delete request. The
+// database's `telemetry` table points at each file with its frame count and time span.
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_FILE = /^([A-Za-z0-9-]+)\.jsonl$/;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class TelemetryStore {
+    constructor({ dir, db, maxAgeHours = 0 }) {
+        this.dir = dir;
+        this.maxAgeHours = maxAgeHours;
+        this.writes = new Map(); // sessionId -> promise of the last append, so batches stay in order
+        this.lastSweep = 0;
+        this.statements = {
+            upsert: db.prepare(`INSERT INTO telemetry (session_id, path, frames, first_at, last_at)
+                VALUES (@sessionId, @path, @frames, @firstAt, @lastAt)
+                ON CONFLICT (session_id) DO UPDATE SET frames = frames + excluded.frames,
+                    first_at = MIN(first_at, excluded.first_at), last_at = MAX(last_at, excluded.last_at)`),
+            replace: db.prepare(`INSERT OR REPLACE INTO telemetry (session_id, path, frames, first_at, last_at)
+                VALUES (@sessionId, @path, @frames, @firstAt, @lastAt)`),
+            all: db.prepare('SELECT session_id FROM telemetry'),
+            hasSession: db.prepare('SELECT 1 FROM sessions WHERE id = ?'),
+            remove: db.prepare('DELETE FROM telemetry WHERE session_id = ?')
+        };
+    }
+
+    file(sessionId) {
+        return path.join(this.dir, `${sessionId}.jsonl`);
+    }
+
+    // Append frames (objects) for a session; resolves once they are on disk
+    append(sessionId, frames) {
+        if (Date.now() - this.lastSweep > SWEEP_INTERVAL_MS) this.sweep();
+
+        const lines = frames.map(frame => JSON.stringify(frame)).join('\n') + '\n';
+        const previous = this.writes.get(sessionId) || Promise.resolve();
+        const write = previous
+            .then(() => fs.promises.mkdir(this.dir, { recursive: true }))
+            .then(() => fs.promises.appendFile(this.file(sessionId), lines))
+            .then(() => this.statements.upsert.run(this.pointer(sessionId, frames)))
+            .finally(() => {
+                if (this.writes.get(sessionId) === write) this.writes.delete(sessionId);
+            });
+        this.writes.set(sessionId, write.catch(() => {}));
+        return write;
+    }
+
+    pointer(sessionId, frames) {
+        const times = frames.map(frame => frame.t);
+        return {
+            sessionId,
+            path: path.basename(this.file(sessionId)), // Relative to the telemetry directory
+            frames: frames.length,
+            firstAt: times.length ? Math.min(...times) : null,
+            lastAt: times.length ? Math.max(...times) : null
+        };
+    }
+
+    // Point the database at telemetry files it doesn't know yet (files of unknown sessions are
+    // left alone) and forget pointers whose file is gone. Returns the number of indexed sessions.
+    reindex() {
+        const onDisk = new Set(this.sessionIds());
+        const known = new Set(this.statements.all.all().map(row => row.session_id));
+
+        for (const sessionId of known) {
+            if (!onDisk.has(sessionId)) this.statements.remove.run(sessionId);
+        }
+        for (const sessionId of onDisk) {
+            if (known.has(sessionId) || !this.statements.hasSession.get(sessionId)) continue;
+            this.statements.replace.run(this.pointer(sessionId, this.read(sessionId)));
+        }
+        return this.statements.all.all().length;
+    }
+
+    // All frames of a session, oldest first (empty if none were recorded)
+    read(sessionId) {
+        let text;
+        try {
+            text = fs.readFileSync(this.file(sessionId), 'utf8');
+        } catch (error) {
+            return [];
+        }
+        const frames = [];
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            try {
+                frames.push(JSON.parse(line));
+            } catch (error) {
+                // A torn last line from a crash; skip it
+            }
+        }
+        return frames;
+    }
+
+    sessionIds() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .map(file => SESSION_FILE.exec(file))
+            .filter(Boolean)
+            .map(match => match[1]);
+    }
+
+    removeSession(sessionId) {
+        this.statements.remove.run(sessionId);
+        try {
+            fs.unlinkSync(this.file(sessionId));
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to delete telemetry for ${sessionId}:`, error.message);
+            }
+            return false;
+        }
+    }
+
+    // Drop sessions whose last frame is older than the retention age limit
+    sweep() {
+        this.lastSweep = Date.now();
+        if (this.maxAgeHours <= 0) return 0;
+
+        const cutoff = Date.now() - this.maxAgeHours * 60 * 60 * 1000;
+        let removed = 0;
+        for (const sessionId of this.sessionIds()) {
+            try {
+                if (fs.statSync(this.file(sessionId)).mtimeMs < cutoff && this.removeSession(sessionId)) removed++;
+            } catch (error) {
+                // Removed while we were looking
+            }
+        }
+        if (removed > 0) {
+            console.log(`Telemetry: removed ${removed} session file(s) older than ${this.maxAgeHours}h`);
+        }
+        return removed;
+    }
+
+    // Current storage use, for /health
+    usage() {
+        const sessionIds = this.sessionIds();
+        let bytes = 0;
+        for (const sessionId of sessionIds) {
+            try {
+                bytes += fs.statSync(this.file(sessionId)).size;
+            } catch (error) {
+                // Removed while we were looking
+            }
+        }
+        return { sessions: sessionIds.length, bytes };
+    }
+}
+
+module.exports = { TelemetryStore };
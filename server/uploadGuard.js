@@ -0,0 +1,185 @@
+// Upload Guard - Checks on POST /capture-face before sharp sees the upload
+//
+// The image type is sniffed from its first bytes (JPEG, PNG or WebP; the client's filename and
+// MIME type are ignored) and its dimensions are read from the header without decoding, so a small
+// file that would inflate to a huge bitmap (a decompression bomb) is refused up front. Uploads are
+// also rate limited per client IP and per session. Every refusal is an error with an HTTP `status`
+// and a `code` the kiosk can act on; the route answers { code, message }.
+
+const multer = require('multer');
+
+function captureError(status, code, message) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+// 'jpeg', 'png', 'webp' or null
+function sniffImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+// { width, height } from the header of a sniffed image, or null if it can't be found
+function imageDimensions(buffer, type) {
+    if (type === 'png') {
+        // IHDR is always the first chunk
+        if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (type === 'webp') {
+        if (buffer.length < 30) return null;
+        const chunk = buffer.toString('latin1', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+
+    if (type === 'jpeg') {
+        // Walk the marker segments to the first start-of-frame
+        let offset = 2;
+        while (offset + 9 <= buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            if (marker === 0xff) {
+                offset++; // Fill byte
+                continue;
+            }
+            if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+                offset += 2; // Markers without a length
+                continue;
+            }
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+            if (isStartOfFrame) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+    }
+
+    return null;
+}
+
+// Throws a capture error unless `buffer` is a JPEG, PNG or WebP within the limits; returns { type, width, height }
+function validateImage(buffer, { maxDimension, maxMegapixels }) {
+    const type = sniffImageType(buffer);
+    if (!type) {
+        throw captureError(415, 'UNSUPPORTED_IMAGE_TYPE', 'The image must be a JPEG, PNG or WebP');
+    }
+    const size = imageDimensions(buffer, type);
+    if (!size || size.width === 0 || size.height === 0) {
+        throw captureError(422, 'INVALID_IMAGE', `Could not read the ${type.toUpperCase()} image size`);
+    }
+    if (size.width > maxDimension || size.height > maxDimension) {
+        throw captureError(413, 'IMAGE_DIMENSIONS_TOO_LARGE',
+            `The image is ${size.width}x${size.height}; at most ${maxDimension} pixels per side are accepted`);
+    }
+    if (size.width * size.height > maxMegapixels * 1e6) {
+        throw captureError(413, 'IMAGE_DIMENSIONS_TOO_LARGE',
+            `The image is ${size.width}x${size.height}; at most ${maxMegapixels} megapixels are accepted`);
+    }
+    return { type, ...size };
+}
+
+// Fixed-window counter per key (an IP address or a session id), in memory
+class RateLimiter {
+    constructor({ limit, windowMs = 60 * 1000 }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map(); // key -> { start, count }
+    }
+
+    // { allowed, retryAfterSeconds }; counts the attempt when it is allowed
+    take(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || now - window.start >= this.windowMs) {
+            this.prune(now);
+            window = { start: now, count: 0 };
+            this.windows.set(key, window);
+        }
+        if (window.count >= this.limit) {
+            return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((window.start + this.windowMs - now) / 1000)) };
+        }
+        window.count++;
+        return { allowed: true, retryAfterSeconds: 0 };
+    }
+
+    prune(now) {
+        for (const [key, window] of this.windows) {
+            if (now - window.start >= this.windowMs) this.windows.delete(key);
+        }
+    }
+}
+
+// Throws a 429 capture error (with retryAfterSeconds) when `key` is over the limit
+function takeOrThrow(limiter, key, what) {
+    const { allowed, retryAfterSeconds } = limiter.take(key);
+    if (!allowed) {
+        throw Object.assign(
+            captureError(429, 'RATE_LIMITED', `Too many captures from this ${what}; try again in ${retryAfterSeconds}s`),
+            { retryAfterSeconds }
+        );
+    }
+}
+
+// Middleware refusing a client over its per-minute limit, before the upload is read
+function limitByIp(limiter) {
+    return (req, res, next) => {
+        try {
+            takeOrThrow(limiter, req.ip, 'address');
+            next();
+        } catch (error) {
+            sendCaptureError(res, error);
+        }
+    };
+}
+
+// Multer's single-file middleware, answering its errors as capture errors
+function singleImage(upload, field, maxMegabytes) {
+    const middleware = upload.single(field);
+    return (req, res, next) => {
+        middleware(req, res, error => {
+            if (!error) return next();
+            if (!(error instanceof multer.MulterError)) return sendCaptureError(res, error);
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return sendCaptureError(res, captureError(413, 'IMAGE_TOO_LARGE', `The image is larger than ${maxMegabytes} MB`));
+            }
+            if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+                return sendCaptureError(res, captureError(400, 'UNEXPECTED_FILE', `Only one file, in the "${field}" field, is accepted`));
+            }
+            sendCaptureError(res, captureError(400, 'INVALID_UPLOAD', error.message));
+        });
+    };
+}
+
+// Answer a capture error as { code, message }; anything else is a 500
+function sendCaptureError(res, error) {
+    if (error.status && error.code) {
+        if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+        return res.status(error.status).json({ code: error.code, message: error.message });
+    }
+    console.error('Error processing face capture:', error);
+    res.status(500).json({ code: 'CAPTURE_FAILED', message: 'Failed to process face capture' });
+}
+
+module.exports = {
+    captureError,
+    sniffImageType,
+    imageDimensions,
+    validateImage,
+    RateLimiter,
+    takeOrThrow,
+    limitByIp,
+    singleImage,
+    sendCaptureError
+};
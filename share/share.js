@@ -0,0 +1,42 @@
+// Mirror take-home page - lists one session's captures behind a share token
+
+(async () => {
+    const base = location.pathname.replace(/\/+$/, '');
+    const summary = document.getElementById('summary');
+
+    let data;
+    try {
+        const response = await fetch(`${base}/summary`);
+        if (response.status === 410) {
+            location.reload(); // The server now answers with the expired page
+            return;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        data = await response.json();
+    } catch (error) {
+        summary.textContent = `Could not load your photos (${error.message}). Are you on the venue Wi-Fi?`;
+        return;
+    }
+
+    const visited = new Date(data.startedAt);
+    summary.textContent = `${data.captures.length} photo(s) from your visit on ${visited.toLocaleDateString()} at ${visited.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+
+    const animation = document.getElementById('animation');
+    animation.querySelector('img').src = data.animationUrl;
+    animation.querySelector('a').href = data.animationDownloadUrl;
+    animation.hidden = false;
+
+    const template = document.getElementById('capture-card');
+    const grid = document.getElementById('captures');
+    data.captures.forEach(capture => {
+        const card = template.content.firstElementChild.cloneNode(true);
+        card.querySelector('img').src = capture.url;
+        card.querySelector('.share-phase').textContent = capture.phase;
+        card.querySelector('.share-score').textContent = capture.smilingScore !== null ? `${capture.smilingScore}%` : '';
+        card.querySelector('a').href = capture.downloadUrl;
+        grid.appendChild(card);
+    });
+
+    document.getElementById('expiry').textContent =
+        `This link stops working at ${new Date(data.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}. Save anything you want to keep.`;
+})();